@@ -1,43 +1,87 @@
 // DeepScroll Service Worker
-import { openDB } from 'idb';
+import { saveSlice, getSlice, createCapture, finalizeCapture, updateCapture, deleteCapture, collectGarbage } from './utils/db.js';
+import { getSettings } from './utils/settings.js';
+import { getEditorUrl } from './utils/editor.js';
+import { getDownloadPath } from './utils/filename.js';
+import { blobToDataUrl } from './utils/blob.js';
 
-const DB_NAME = 'deepscroll-db';
-const STORE_NAME = 'slices';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const THUMBNAIL_WIDTH = 320;
+const STALE_CAPTURE_MS = 60 * 60 * 1000; // Unfinished captures older than 1h were aborted
 
-async function initDB() {
-  return openDB(DB_NAME, 1, {
-    upgrade(db) {
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-      }
-    },
-  });
+// Drops expired, over-budget and aborted captures plus orphaned slices
+async function runGarbageCollection(keep = []) {
+  try {
+    const settings = await getSettings();
+    const removed = await collectGarbage({
+      maxAgeMs: settings.retentionDays * DAY_MS,
+      maxBytes: settings.storageBudgetMB * 1024 * 1024,
+      staleMs: STALE_CAPTURE_MS,
+      keep
+    });
+    if (removed.captures || removed.slices) {
+      console.log(`DeepScroll: Cleaned up ${removed.captures} captures and ${removed.slices} orphaned slices.`);
+    }
+  } catch (err) {
+    console.error("DeepScroll: Garbage collection failed", err);
+  }
 }
 
-async function saveSlice(dataUrl, y) {
-  const db = await initDB();
-  const id = await db.put(STORE_NAME, { dataUrl, y, createdAt: Date.now() });
-  return id;
+chrome.runtime.onStartup.addListener(() => runGarbageCollection());
+chrome.runtime.onInstalled.addListener(() => {
+  runGarbageCollection();
+  createContextMenus();
+});
+
+let lastCaptureTime = 0;
+const MIN_CAPTURE_INTERVAL = 500; // Chrome allows 2 captures/sec; settings can only slow it down
+const QUOTA_RETRIES = 3; // Retries when Chrome still reports the quota as exceeded
+
+// Crops a captured viewport down to a region (device pixels)
+async function cropDataUrl(dataUrl, crop) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob, crop.x, crop.y, crop.width, crop.height);
+  const canvas = new OffscreenCanvas(crop.width, crop.height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  return blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
 }
 
+// Small JPEG of the top of a capture, for the history gallery
+async function createThumbnail(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(Math.min(bitmap.height, bitmap.width * 0.75) * scale); // Max 4:3
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, bitmap.width, height / scale, 0, 0, width, height);
+  bitmap.close();
 
-let lastCaptureTime = 0;
-const MIN_CAPTURE_INTERVAL = 800; // Slower to avoid quota (MAX 2/sec) -> 800ms is ~1.2/sec
+  return blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 }));
+}
 
 // Throttled Capture Function
-async function throttledCapture(windowId, y) {
+async function throttledCapture(windowId, captureId, x, y, crop, layers = {}) {
+  const { captureInterval } = await getSettings();
+  const interval = Math.max(MIN_CAPTURE_INTERVAL, captureInterval);
   const now = Date.now();
-  if (now - lastCaptureTime < MIN_CAPTURE_INTERVAL) {
-    const delay = MIN_CAPTURE_INTERVAL - (now - lastCaptureTime);
+  if (now - lastCaptureTime < interval) {
+    const delay = interval - (now - lastCaptureTime);
     await new Promise((resolve) => setTimeout(resolve, delay));
   }
 
   try {
-    const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: "png" });
-    lastCaptureTime = Date.now();
+    let dataUrl = await captureWithRetry(windowId, interval);
+
+    // Element captures only keep the element's box
+    if (crop) {
+      dataUrl = await cropDataUrl(dataUrl, crop);
+    }
 
     // Save to IDB immediately
-    const id = await saveSlice(dataUrl, y);
+    const id = await saveSlice({ captureId, dataUrl, x, y, ...layers });
 
     return { success: true, sliceId: id }; // Return ID instead of dataUrl
   } catch (err) {
@@ -46,54 +90,236 @@ async function throttledCapture(windowId, y) {
   }
 }
 
+// The capture quota is enforced per second on Chrome's side, so a capture
+// right at the interval can still be refused; back off and try again.
+async function captureWithRetry(windowId, interval) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: "png" });
+      lastCaptureTime = Date.now();
+      return dataUrl;
+    } catch (err) {
+      lastCaptureTime = Date.now();
+      if (attempt >= QUOTA_RETRIES || !/MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND/.test(err.message)) throw err;
+      await new Promise((resolve) => setTimeout(resolve, interval * (attempt + 1)));
+    }
+  }
+}
+
 // Message Listener from Content Script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === "CAPTURE_VISIBLE_TAB") {
-    throttledCapture(sender.tab.windowId, request.y).then((result) => {
+    const layers = { text: request.text, links: request.links, sensitive: request.sensitive };
+    throttledCapture(sender.tab.windowId, request.captureId, request.x || 0, request.y, request.crop, layers).then((result) => {
       sendResponse(result);
     });
     return true; // Keep message channel open for async response
   }
 
+  if (request.type === "BEGIN_CAPTURE") {
+    // Every capture session gets a record up front, so aborted ones can be found later
+    createCapture({ url: sender.tab.url, title: sender.tab.title })
+      .then((captureId) => sendResponse({ success: true, captureId }))
+      .catch((err) => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  if (request.type === "ABORT_CAPTURE") {
+    deleteCapture(request.captureId).catch((err) => console.error("DeepScroll: Abort cleanup failed", err));
+  }
+
   if (request.type === "OPEN_EDITOR") {
-    // Pass slice IDs via URL parameter or just rely on DB if it's a single session?
-    const metadata = {
-      url: sender.tab.url,
-      title: sender.tab.title,
-      capturedAt: Date.now(),
-      devicePixelRatio: request.pixelRatio || 1
-    };
-    const payload = {
-      ids: request.sliceIds,
-      meta: metadata
-    };
-    const url = chrome.runtime.getURL("src/editor/index.html") + "#" + JSON.stringify(payload);
-    chrome.tabs.create({ url });
+    finishCapture(request, sender.tab);
   }
 
   if (request.type === "TRIGGER_CAPTURE_FLOW") {
-    startCaptureFlow({ id: request.tabId });
+    startCaptureFlow({ id: request.tabId, url: request.tabUrl }, request.mode);
     if (sendResponse) sendResponse({ success: true });
   }
 });
 
+// Persists the finished capture, then opens the editor on its session ID
+// (or, with "save after capture" on, downloads it straight away)
+async function finishCapture(request, tab) {
+  const metadata = {
+    url: tab.url,
+    title: tab.title,
+    capturedAt: Date.now(),
+    devicePixelRatio: request.pixelRatio || 1
+  };
+
+  try {
+    await finalizeCapture(request.captureId, { sliceIds: request.sliceIds, meta: metadata });
+    const firstSlice = await getSlice(request.sliceIds[0]);
+    if (firstSlice) {
+      await updateCapture(request.captureId, { thumbnail: await createThumbnail(firstSlice.dataUrl) });
+    }
+  } catch (err) {
+    console.error("DeepScroll: Failed to finalize capture", err);
+  }
+
+  const settings = await getSettings();
+  if (settings.saveAfterCapture) {
+    try {
+      const filename = await saveCapture(request.captureId, metadata, settings);
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('assets/icon-128.png'),
+        title: 'DeepScroll - Capture saved',
+        message: `Saved ${filename}. Open it from History to edit.`,
+        priority: 0
+      });
+    } catch (err) {
+      if (err.message === "USER_CANCELED") {
+        // Dismissed the Save As dialog; the capture is still in History
+      } else {
+        // Still show the capture rather than losing it, and say why
+        console.error("DeepScroll: Direct save failed, opening the editor", err);
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: chrome.runtime.getURL('assets/icon-128.png'),
+          title: 'DeepScroll - Save failed',
+          message: `Couldn't save the capture (${err.message}). It was opened in the editor instead.`,
+          priority: 2
+        });
+        chrome.tabs.create({ url: getEditorUrl(request.captureId) });
+      }
+    }
+  } else {
+    chrome.tabs.create({ url: getEditorUrl(request.captureId) });
+  }
+
+  // New data just landed: enforce the storage budget, never dropping this capture
+  runGarbageCollection([request.captureId]);
+}
+
+const OFFSCREEN_URL = 'src/offscreen/index.html';
+let offscreenCreating = null; // Pending createDocument, so concurrent saves share it
+let pendingSaves = 0; // The offscreen document closes once the last one is done
+
+// Stitches a capture into a PNG and downloads it, without the editor.
+// Rendered like an editor export, so the auto-redactions of a first open are applied.
+// The PNG (often tens of MB) is encoded in the offscreen document and downloaded
+// from a blob URL there; a data URL here would copy it several times and can
+// exceed URL limits. Rejects with "USER_CANCELED" if the Save As dialog is dismissed.
+async function saveCapture(captureId, metadata, settings) {
+  pendingSaves++;
+  try {
+    await ensureOffscreenDocument();
+    const encoded = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'ENCODE_CAPTURE', captureId, settings });
+    if (!encoded?.success) throw new Error(encoded?.error || "Encoding failed");
+
+    const filename = getDownloadPath(settings, {
+      extension: 'png',
+      url: metadata.url,
+      title: metadata.title,
+      capturedAt: metadata.capturedAt
+    });
+    try {
+      const downloadId = await chrome.downloads.download({ url: encoded.url, filename, saveAs: !settings.autoSave });
+      // The blob URL has to stay valid until Chrome has written the file
+      await waitForDownload(downloadId);
+    } finally {
+      chrome.runtime.sendMessage({ target: 'offscreen', type: 'REVOKE_URL', url: encoded.url }).catch(() => {});
+    }
+    return filename;
+  } finally {
+    pendingSaves--;
+    if (pendingSaves === 0) {
+      chrome.offscreen.closeDocument().catch(() => {}); // Already gone
+    }
+  }
+}
+
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length > 0) return;
+
+  offscreenCreating ??= chrome.offscreen.createDocument({
+    url: OFFSCREEN_URL,
+    reasons: ['BLOBS'],
+    justification: 'Encode full-page captures and download them from blob URLs'
+  }).finally(() => {
+    offscreenCreating = null;
+  });
+  await offscreenCreating;
+}
+
+// Resolves once a download completes; rejects with its error if it is interrupted
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    function settle(item) {
+      if (!item || item.state === 'in_progress') return;
+      chrome.downloads.onChanged.removeListener(onChanged);
+      if (item.state === 'complete') {
+        resolve();
+      } else {
+        reject(new Error(item.error || "Download interrupted"));
+      }
+    }
+    function onChanged(delta) {
+      if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+      chrome.downloads.search({ id: downloadId }).then(([item]) => settle(item), reject);
+    }
+    chrome.downloads.onChanged.addListener(onChanged);
+    // Small files can finish before the listener is in place
+    chrome.downloads.search({ id: downloadId }).then(([item]) => settle(item), reject);
+  });
+}
+
 // Action Click / Command Listener (Triggers the Capture Flow)
 chrome.action.onClicked.addListener((tab) => {
   startCaptureFlow(tab);
 });
 
-/* 
-// Note: _execute_action command triggers onAllClicked automatically if defined in manifest
-// If we wanted a separate command listener:
-chrome.commands.onCommand.addListener((command) => {
-  if (command === "capture_page") { // If we named it specifically
-     // ...
+// Keyboard commands from the manifest, one per capture mode
+// (_execute_action opens the popup and never reaches this listener)
+const COMMAND_MODES = {
+  "capture-page": "page",
+  "capture-visible": "visible",
+  "capture-area": "area",
+  "capture-element": "element"
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const mode = COMMAND_MODES[command];
+  if (!mode) return;
+
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   }
+  if (tab) startCaptureFlow(tab, mode);
+});
+
+// Right-click entries; "Capture this element" targets the right-clicked node
+const CONTEXT_MENU_MODES = {
+  "capture-page": { title: "Capture full page", mode: "page" },
+  "capture-element": { title: "Capture this element", mode: "element" },
+  "capture-visible": { title: "Capture visible area", mode: "visible" }
+};
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const [id, { title }] of Object.entries(CONTEXT_MENU_MODES)) {
+      chrome.contextMenus.create({ id, title, contexts: ["all"] });
+    }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const entry = CONTEXT_MENU_MODES[info.menuItemId];
+  if (!entry || !tab) return;
+  // The content script only runs in the top frame, so it only knows right-clicks made there
+  startCaptureFlow(tab, entry.mode, { useContextTarget: entry.mode === "element" && info.frameId === 0 });
 });
-But since we mapped _execute_action, it fires the action.onClicked.
-*/
 
-async function startCaptureFlow(tab) {
+// mode: 'page' (full scrolling capture), 'element' (pick an element first),
+// 'visible' (just the viewport) or 'area' (drag a rectangle of the viewport)
+// options.useContextTarget: capture the element last right-clicked instead of picking one
+async function startCaptureFlow(tab, mode = 'page', options = {}) {
   if (!tab.id) return;
 
   // Check for restricted URLs
@@ -122,7 +348,7 @@ async function startCaptureFlow(tab) {
   }
 
   function sendMessage() {
-    return chrome.tabs.sendMessage(tab.id, { type: "START_DEEPSCROLL" });
+    return chrome.tabs.sendMessage(tab.id, { type: "START_DEEPSCROLL", mode, useContextTarget: !!options.useContextTarget });
   }
 
   try {
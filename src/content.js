@@ -2,91 +2,259 @@
 // The "Driver" - Handles DOM traversal, scrolling, and capture coordination.
 
 let isCapturing = false;
+let currentCaptureId = null; // Session record in the background's database
 let originalFixedElements = [];
+let redactMatchers = null; // Set when auto-redact is on (see section H)
+let maskSelector = null; // This site's masked elements, if any (see section I)
+let maskedElements = [];
+let dismissedOverlays = []; // Inline styles to put back (see section J)
+let progressHud = null; // On-page progress panel (see section L)
+let stopRequest = null; // 'cancel' or 'stop', set from the HUD
+let contextTarget = null; // Last right-clicked element, for "Capture this element"
 
-// Safety limits for infinite scroll
+// Safety limits for infinite scroll (defaults; see DEFAULT_SETTINGS)
 const MAX_SLICES = 50; // ~50,000 pixels max (at ~1000px viewport)
 const MAX_HEIGHT_GROWTH = 3; // Allow page to grow max 3x during capture
 
+// Overlap between neighbouring slices (CSS px), which the stitcher aligns on
+const SLICE_OVERLAP = 100;
+
+// Only tile horizontally when content is meaningfully wider than the viewport
+const MIN_HORIZONTAL_OVERFLOW = 50;
+
+// A right-click older than this no longer counts for "Capture this element"
+const CONTEXT_TARGET_MAX_AGE = 60000;
+
+// Render readiness after each scroll (see section K)
+const RENDER_MIN_WAIT = 50; // Always give the page at least this long
+const RENDER_QUIET_PERIOD = 150; // No DOM mutations or finished requests for this long
+const RENDER_MAX_WAIT = 2000; // Give up waiting on busy pages (animations, polling)
+const EAGER_IMAGE_MARGIN = 1; // Lazy images this many viewports around the current one are loaded eagerly
+
+// Fallbacks for settings the user hasn't changed (mirrors utils/settings.js,
+// which a content script can't import)
+const DEFAULT_SETTINGS = {
+    maxSlices: MAX_SLICES,
+    maxHeightGrowth: MAX_HEIGHT_GROWTH,
+    sliceOverlap: SLICE_OVERLAP,
+    renderQuietPeriod: RENDER_QUIET_PERIOD,
+    renderMaxWait: RENDER_MAX_WAIT,
+    autoRedact: false,
+    redactPatterns: ['email', 'phone', 'card', 'apiKey'],
+    customRedactPatterns: [],
+    maskSelectors: {},
+    maskStyle: 'blur',
+    fixedElementMode: 'hide',
+    dismissOverlays: true,
+    overlaySiteRules: {}
+};
+
+// CSS applied to masked elements while a slice is captured
+const MASK_STYLES = {
+    blur: { filter: 'blur(16px)' },
+    solid: { filter: 'brightness(0)', background: '#000' }
+};
+
 // Receiver for Background Trigger
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === "START_DEEPSCROLL") {
         if (isCapturing) return;
-        initDeepScroll();
+        initDeepScroll({ mode: request.mode, useContextTarget: request.useContextTarget });
     }
 });
 
+// Remember what the context menu was opened on (innermost node, shadow DOM included)
+document.addEventListener('contextmenu', (e) => {
+    const node = e.composedPath()[0];
+    contextTarget = node instanceof Element ? { element: node, time: Date.now() } : null;
+}, true);
+
 // Main Orchestrator
-async function initDeepScroll() {
+// options.mode: 'page' (default) captures the scroll target, 'element' lets the
+// user pick an element and captures only its bounding box. 'visible' and 'area'
+// take a single shot of the viewport (or a dragged part of it), no scrolling.
+// options.useContextTarget: in element mode, take the right-clicked element
+// instead of showing the picker.
+async function initDeepScroll(options = {}) {
     isCapturing = true;
     console.log("DeepScroll: Starting...");
 
     try {
+        const settings = await loadSettings();
+        redactMatchers = settings.autoRedact ? createRedactMatchers(settings) : null;
+        maskSelector = getMaskSelector(settings);
+        const maskStyle = getMaskStyle(settings);
+
+        if (options.mode === 'visible' || options.mode === 'area') {
+            const shot = await captureViewport(options.mode, maskStyle);
+            if (!shot) {
+                console.log("DeepScroll: Area selection cancelled.");
+                return;
+            }
+            openEditor(shot);
+            return;
+        }
+
+        // Consent banners, chat launchers and modals would cover the capture
+        // (viewport shots skip this: they take exactly what the user sees)
+        if (shouldDismissOverlays(settings)) {
+            dismissOverlays();
+        }
+
         // Warn about virtualized content
         if (detectVirtualization()) {
             console.warn("⚠️ DeepScroll: Virtualized content detected. Some content may not be captured.");
         }
 
         // 1. Target Detection
-        const target = detectScrollTarget();
-        console.log("DeepScroll: Target Detected", target);
+        let target;
+        let region = null;
 
-        // 2. Pre-Roll (Hide Fixed)
-        hideFixedElements();
-        await performPreRoll(target);
+        if (options.mode === 'element') {
+            region = (options.useContextTarget && takeContextTarget()) || await pickElement();
+            if (!region) {
+                console.log("DeepScroll: Element pick cancelled.");
+                return;
+            }
+            // A scrollable element is walked itself; otherwise walk whatever scrolls it
+            target = isScrollable(region) ? region : getScrollParent(region);
+            console.log("DeepScroll: Element Picked", region, "scrolled by", target);
+        } else {
+            target = await chooseScrollTarget();
+            if (!target) {
+                console.log("DeepScroll: Target selection cancelled.");
+                return;
+            }
+            console.log("DeepScroll: Target Detected", target);
+        }
+
+        // 2. Pre-Roll (Hide Fixed; captureLoop shows the kept ones on their slice)
+        const picked = settings.fixedElementMode === 'pick' ? await chooseFixedElements(region) : null;
+        if (picked === undefined) {
+            console.log("DeepScroll: Fixed element selection cancelled.");
+            return;
+        }
+        hideFixedElements(region, settings.fixedElementMode, picked);
+        progressHud = createProgressHud();
+        await performPreRoll(target, getRenderWait(settings));
 
         // 3. Capture Loop
-        const slices = await captureLoop(target);
+        await beginSession();
+        const slices = await captureLoop(target, region, settings);
         console.log("DeepScroll: Capture Complete", slices);
 
         // 4. Restore
         restoreFixedElements();
+        progressHud.remove();
 
-        // 5. Open Editor
-        if (slices.length > 0) {
-            const sliceIds = slices.map(s => s.sliceId);
-            chrome.runtime.sendMessage({
-                type: "OPEN_EDITOR",
-                sliceIds,
-                pixelRatio: window.devicePixelRatio
-            });
+        // 5. Open Editor (unless cancelled from the HUD)
+        if (stopRequest === 'cancel') {
+            console.log("DeepScroll: Capture cancelled.");
+            abortCapture();
+        } else if (slices.length > 0) {
+            openEditor(slices);
         } else {
             console.warn("DeepScroll: No slices captured.");
+            abortCapture();
         }
 
     } catch (err) {
         console.error("DeepScroll Core Error:", err);
         restoreFixedElements(); // Safety net
+        unmaskElements();
+        abortCapture();
+        if (progressHud) progressHud.showError(err.message);
     } finally {
+        restoreOverlays();
+        progressHud = null;
+        stopRequest = null;
         isCapturing = false;
+        currentCaptureId = null;
+        redactMatchers = null;
+        maskSelector = null;
     }
 }
 
+// Every capture gets a session record in the background's database up front
+async function beginSession() {
+    const session = await sendMessagePromise({ type: "BEGIN_CAPTURE" });
+    if (!session || !session.success) {
+        throw new Error(`Could not start capture session: ${session?.error}`);
+    }
+    currentCaptureId = session.captureId;
+}
+
+// The background opens the editor, or saves the capture directly if set to
+function openEditor(slices) {
+    chrome.runtime.sendMessage({
+        type: "OPEN_EDITOR",
+        captureId: currentCaptureId,
+        sliceIds: slices.map(s => s.sliceId),
+        pixelRatio: window.devicePixelRatio
+    });
+}
+
+// Lets the background drop a half-finished session right away
+// (anything missed here is collected later as an orphan)
+function abortCapture() {
+    if (currentCaptureId === null) return;
+    chrome.runtime.sendMessage({ type: "ABORT_CAPTURE", captureId: currentCaptureId });
+}
+
 // --- A. Target Detection ---
 function detectScrollTarget() {
+    return findScrollCandidates()[0] || window;
+}
+
+// Every scrollable container worth offering, best guess first.
+// If the document itself scrolls, the window wins; otherwise the element with
+// the largest scrollHeight ("Fixed App" layouts).
+function findScrollCandidates() {
     const doc = document.documentElement;
+    const candidates = [];
     // If body scrolls, window.innerHeight < doc.scrollHeight
-    if (doc.scrollHeight > window.innerHeight) {
-        return window;
+    const windowScrolls = doc.scrollHeight > window.innerHeight;
+
+    for (const el of getAllElements()) {
+        // The window already stands for the root scroller
+        if (windowScrolls && (el === doc || el === document.body)) continue;
+        if (!isScrollable(el)) continue;
+        const rect = el.getBoundingClientRect();
+        if (rect.width < 50 || rect.height < 50) continue; // Ignore tiny widgets
+        candidates.push(el);
     }
+    candidates.sort((a, b) => b.scrollHeight - a.scrollHeight);
 
-    // Else, "Fixed App". Find largest scrollable element.
-    const allElements = getAllElements();
-    let maxScrollHeight = 0;
-    let bestCandidate = window; // Fallback
+    if (windowScrolls) {
+        candidates.unshift(window);
+    }
 
-    for (const el of allElements) {
-        const style = window.getComputedStyle(el);
-        const overflowY = style.overflowY;
-        if (overflowY === 'scroll' || overflowY === 'auto') {
-            if (el.scrollHeight > el.clientHeight && el.scrollHeight > maxScrollHeight) {
-                maxScrollHeight = el.scrollHeight;
-                bestCandidate = el;
-            }
-        }
+    return candidates;
+}
+
+// Lets the user pick among several scroll containers before capturing.
+// Skips the prompt when there's nothing to choose. Resolves null on cancel.
+async function chooseScrollTarget() {
+    const candidates = findScrollCandidates();
+    if (candidates.length <= 1) {
+        return candidates[0] || window;
     }
+    return showChooser(candidates);
+}
 
-    return bestCandidate;
+function isScrollable(el) {
+    const overflowY = window.getComputedStyle(el).overflowY;
+    return (overflowY === 'scroll' || overflowY === 'auto') && el.scrollHeight > el.clientHeight;
+}
+
+// Nearest scrollable ancestor, crossing shadow roots. Falls back to the window.
+function getScrollParent(el) {
+    let node = el.parentElement || el.getRootNode().host;
+    while (node && node !== document.documentElement && node !== document.body) {
+        if (isScrollable(node)) return node;
+        node = node.parentElement || node.getRootNode().host;
+    }
+    return window;
 }
 
 // Get all elements including those in shadow DOM
@@ -117,24 +285,87 @@ function getAllElements(root = document) {
 }
 
 // --- B. The "Clean" Pre-Roll ---
-function hideFixedElements() {
+// `keep` is the element being captured (element mode): fixed elements that are
+// it, contain it or live inside it must stay visible.
+// Hides every fixed/sticky element (except those around `keep`) and records
+// which slice, if any, each one should reappear in. Elements in the top half
+// of the viewport can only reappear on the first row of slices and those in
+// the bottom half only on the last row; anywhere else they would be painted
+// over content in the middle of the image.
+//   'hide'  - none
+//   'first' - the top-half ones, on the first row (site headers)
+//   'last'  - the bottom-half ones, on the last row (footers, cookie bars)
+//   'pick'  - only the `picked` ones, on the row matching their half
+function hideFixedElements(keep = null, mode = 'hide', picked = null) {
     originalFixedElements = [];
-    const allElements = getAllElements(); // Now includes shadow DOM
 
-    for (const el of allElements) {
-        const style = window.getComputedStyle(el);
-        if (style.position === 'fixed' || style.position === 'sticky') {
-            // Store state
-            originalFixedElements.push({
-                element: el,
-                originalVisibility: el.style.visibility
-            });
-            // Hide
-            el.style.visibility = 'hidden';
+    for (const el of findFixedElements(keep)) {
+        const edge = getFixedElementEdge(el);
+        let placement = null;
+        if (mode === 'first' || mode === 'last') {
+            placement = edge === mode ? edge : null;
+        } else if (mode === 'pick' && picked && picked.includes(el)) {
+            placement = edge;
         }
+
+        // Store state
+        originalFixedElements.push({
+            element: el,
+            originalVisibility: el.style.visibility,
+            placement
+        });
+        // Hide
+        el.style.visibility = 'hidden';
+    }
+}
+
+// 'first' for elements in the top half of the viewport, 'last' for the bottom half
+function getFixedElementEdge(el) {
+    const rect = el.getBoundingClientRect();
+    return rect.top + rect.height / 2 < window.innerHeight / 2 ? 'first' : 'last';
+}
+
+function findFixedElements(keep = null) {
+    return getAllElements().filter(el => { // Includes shadow DOM
+        if (keep && (el.contains(keep) || keep.contains(el))) return false;
+        if (el.tagName === 'DEEPSCROLL-OVERLAY') return false; // Our own UI
+        const position = window.getComputedStyle(el).position;
+        return position === 'fixed' || position === 'sticky';
+    });
+}
+
+// Shows the fixed elements that belong on this slice and hides the rest
+function showFixedElementsForSlice({ isFirstRow, isLastRow }) {
+    for (const record of originalFixedElements) {
+        const show = (record.placement === 'first' && isFirstRow) || (record.placement === 'last' && isLastRow);
+        record.element.style.visibility = show ? record.originalVisibility : 'hidden';
     }
 }
 
+// Lets the user tick the fixed/sticky elements to keep. Resolves the chosen
+// elements (possibly none), or undefined on cancel.
+async function chooseFixedElements(keep = null) {
+    const candidates = findFixedElements(keep).filter(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width >= 10 && rect.height >= 10 &&
+            rect.bottom > 0 && rect.top < window.innerHeight &&
+            (!el.checkVisibility || el.checkVisibility({ visibilityProperty: true }));
+    });
+    if (candidates.length === 0) return [];
+
+    const chosen = await showChooser(candidates, {
+        title: 'Keep which fixed elements?',
+        confirmLabel: 'Continue',
+        multiple: true,
+        meta: (el) => {
+            const rect = el.getBoundingClientRect();
+            const where = getFixedElementEdge(el) === 'first' ? 'first slice' : 'last slice';
+            return `${Math.round(rect.width)}×${Math.round(rect.height)} · ${where}`;
+        }
+    });
+    return chosen === null ? undefined : chosen;
+}
+
 // Detect virtualized content that may cause issues
 function detectVirtualization() {
     const indicators = [
@@ -153,100 +384,155 @@ function restoreFixedElements() {
     originalFixedElements = [];
 }
 
-async function performPreRoll(targetNode) {
+async function performPreRoll(targetNode, renderWait = {}) {
     // Rapid scroll to bottom and back to trigger lazy loads
-    // If target is window
-    const isWindow = (targetNode === window);
-    const scrollHeight = isWindow ? document.documentElement.scrollHeight : targetNode.scrollHeight;
-
-    const scrollTo = (y) => {
-        if (isWindow) {
-            window.scrollTo(0, y);
-            // Dispatch scroll event for event-driven content
-            window.dispatchEvent(new Event('scroll', { bubbles: true }));
-        } else {
-            targetNode.scrollTop = y;
-            targetNode.dispatchEvent(new Event('scroll', { bubbles: true }));
-        }
-    };
+    const scroller = createScroller(targetNode);
+    const x = scroller.getScrollLeft();
 
     // Down
-    scrollTo(scrollHeight);
-    await wait(500); // Wait for network requests
+    scroller.scrollTo(x, scroller.getScrollHeight());
+    await waitForRender(renderWait); // Lazy loads kick off here
 
     // Up
-    scrollTo(0);
-    await wait(500); // 500ms wait as per spec
+    scroller.scrollTo(x, 0);
+    await waitForRender(renderWait);
 }
 
 // --- C. The Capture Loop ---
-async function captureLoop(targetNode) {
-    const isWindow = (targetNode === window);
+// Walks the target row by row. When the content overflows horizontally, each
+// row is additionally walked column by column (2D tiling), so every slice
+// records both its x and y offset.
+// With a `region` element, only that element's box is walked and every slice
+// is cropped to it; offsets are then relative to the element's top-left corner.
+async function captureLoop(targetNode, region = null, settings = DEFAULT_SETTINGS) {
+    const { maxSlices, maxHeightGrowth, sliceOverlap } = settings;
+    const maskStyle = getMaskStyle(settings);
+    const renderWait = getRenderWait(settings);
+    const scroller = createScroller(targetNode);
     const slices = [];
+    const isInnerRegion = region !== null && region !== targetNode;
 
-    const getScrollHeight = () => isWindow ? document.documentElement.scrollHeight : targetNode.scrollHeight;
-    const getClientHeight = () => isWindow ? window.innerHeight : targetNode.clientHeight;
-    const setScrollTop = (y) => {
-        if (isWindow) {
-            window.scrollTo(0, y);
-            // Dispatch scroll event for scroll-event-driven content
-            window.dispatchEvent(new Event('scroll', { bubbles: true }));
-        } else {
-            targetNode.scrollTop = y;
-            targetNode.dispatchEvent(new Event('scroll', { bubbles: true }));
+    // Range to walk, in the target's scroll coordinates
+    const getBounds = () => {
+        if (!isInnerRegion) {
+            return { left: 0, top: 0, right: scroller.getScrollWidth(), bottom: scroller.getScrollHeight() };
         }
+        const rect = region.getBoundingClientRect();
+        const view = scroller.getViewportRect();
+        const left = scroller.getScrollLeft() - view.left;
+        const top = scroller.getScrollTop() - view.top;
+        return { left: left + rect.left, top: top + rect.top, right: left + rect.right, bottom: top + rect.bottom };
     };
-    const getScrollTop = () => isWindow ? window.scrollY : targetNode.scrollTop;
-
-    let currentY = 0;
-    let totalHeight = getScrollHeight();
-    const initialHeight = totalHeight; // Track for infinite scroll detection
-    const viewportHeight = getClientHeight();
-    const STEP = viewportHeight - 100; // Overlap mandatory
-
-    while (currentY < totalHeight) {
-        // Safety check: prevent infinite capture
-        if (slices.length >= MAX_SLICES) {
-            console.warn(`DeepScroll: Reached max slices (${MAX_SLICES}). Stopping to prevent infinite capture.`);
-            break;
-        }
 
+    let bounds = getBounds();
+    const initialHeight = bounds.bottom - bounds.top; // Track for infinite scroll detection
+    const viewportHeight = scroller.getClientHeight();
+    const STEP = Math.max(1, viewportHeight - sliceOverlap); // Overlap mandatory
+
+    const viewportWidth = scroller.getClientWidth();
+    const STEP_X = Math.max(1, viewportWidth - sliceOverlap); // Same overlap between columns
+    const tileHorizontally = (bounds.right - bounds.left) - viewportWidth > MIN_HORIZONTAL_OVERFLOW;
+
+    // Expected slice count for the HUD; grows along with the page
+    const estimateTotal = () => {
+        const rows = Math.max(1, Math.ceil((bounds.bottom - bounds.top - viewportHeight) / STEP) + 1);
+        const columns = tileHorizontally ? Math.max(1, Math.ceil((bounds.right - bounds.left - viewportWidth) / STEP_X) + 1) : 1;
+        return Math.min(maxSlices, rows * columns);
+    };
+    let failed = 0;
+    // Without horizontal tiling, keep whatever column the user is looking at
+    const startX = (tileHorizontally || isInnerRegion) ? bounds.left : scroller.getScrollLeft();
+
+    if (tileHorizontally) {
+        console.log(`DeepScroll: Content is ${bounds.right - bounds.left}px wide. Using 2D tiling.`);
+    }
+
+    if (region === targetNode) {
+        region.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    let currentY = bounds.top;
+    const startY = currentY;
+    let limitReached = false;
+
+    while (currentY < bounds.bottom && !limitReached) {
         // Safety check: prevent runaway page growth
-        if (totalHeight > initialHeight * MAX_HEIGHT_GROWTH) {
+        const totalHeight = bounds.bottom - bounds.top;
+        if (totalHeight > initialHeight * maxHeightGrowth) {
             console.warn(`DeepScroll: Page grew ${Math.round(totalHeight / initialHeight)}x. Stopping infinite scroll.`);
             break;
         }
 
-        // 1. Scroll
-        setScrollTop(currentY);
+        let currentX = startX;
 
-        // 2. Wait Render Buffer
-        await wait(1000);
+        while (true) {
+            // Cancel / "Stop here" from the progress HUD ("Stop" keeps at least one slice)
+            if (stopRequest === 'cancel' || (stopRequest === 'stop' && slices.length > 0)) {
+                limitReached = true;
+                break;
+            }
 
-        const actualY = getScrollTop();
+            // Safety check: prevent infinite capture
+            if (slices.length >= maxSlices) {
+                console.warn(`DeepScroll: Reached max slices (${maxSlices}). Stopping to prevent infinite capture.`);
+                limitReached = true;
+                break;
+            }
 
-        // Re-check scrollHeight for dynamic content (infinite scroll)
-        const newHeight = getScrollHeight();
-        if (newHeight > totalHeight) {
-            console.log(`DeepScroll: Page grew from ${totalHeight}px to ${newHeight}px`);
-            totalHeight = newHeight;
-        }
+            // 1. Scroll
+            scroller.scrollTo(currentX, currentY);
 
-        // 3. Message Background
-        const response = await sendMessagePromise({ type: "CAPTURE_VISIBLE_TAB", y: actualY });
+            // 2. Wait until the page has settled (images, fonts, network, DOM)
+            await waitForRender(renderWait);
 
-        if (response && response.success) {
-            slices.push({
-                y: actualY,
-                sliceId: response.sliceId
+            // Re-check bounds for dynamic content (infinite scroll)
+            const newBounds = getBounds();
+            if (newBounds.bottom > bounds.bottom) {
+                console.log(`DeepScroll: Page grew from ${bounds.bottom}px to ${newBounds.bottom}px`);
+            }
+            bounds = newBounds;
+
+            const slice = region ? measureRegionSlice(scroller, region, bounds) : {
+                x: scroller.getScrollLeft(),
+                y: scroller.getScrollTop(),
+                crop: null
+            };
+
+            // Kept fixed elements appear once: on the first or the last row of slices
+            showFixedElementsForSlice({
+                isFirstRow: currentY === startY,
+                isLastRow: currentY + viewportHeight >= bounds.bottom
             });
-            console.log(`DeepScroll: Captured slice ${slices.length} at y=${actualY}`);
-        } else {
-            console.error("Capture buffer failed", response);
+
+            // 3. Message Background
+            if (slice) {
+                const response = await captureSlice(slice, maskStyle);
+
+                if (response && response.success) {
+                    slices.push({
+                        x: slice.x,
+                        y: slice.y,
+                        sliceId: response.sliceId
+                    });
+                    console.log(`DeepScroll: Captured slice ${slices.length} at x=${slice.x}, y=${slice.y}`);
+                } else {
+                    console.error("Capture buffer failed", response);
+                    failed++;
+                }
+                progressHud.update({ count: slices.length, total: estimateTotal(), failed });
+            }
+
+            // Break if we are at the right edge (or not tiling at all)
+            if (!tileHorizontally || currentX + viewportWidth >= bounds.right) {
+                break;
+            }
+
+            // 4. Smart Step (horizontal)
+            currentX += STEP_X;
         }
 
         // Break if we are at the bottom
-        if (currentY + viewportHeight >= totalHeight) {
+        if (currentY + viewportHeight >= bounds.bottom) {
             break;
         }
 
@@ -257,7 +543,1156 @@ async function captureLoop(targetNode) {
     return slices;
 }
 
+// Has the background capture one slice, along with the text, links and
+// sensitive areas it shows. Masked elements are covered (and the HUD hidden)
+// only for the capture itself.
+async function captureSlice(slice, maskStyle) {
+    const area = getCaptureArea(slice);
+    const text = collectTextRuns(area);
+    const links = collectLinks(area);
+    const sensitive = redactMatchers ? collectSensitiveAreas(area, redactMatchers) : [];
+
+    maskElements(maskStyle);
+    if (progressHud) progressHud.setHidden(true);
+    await nextFrame();
+    try {
+        return await sendMessagePromise({ type: "CAPTURE_VISIBLE_TAB", captureId: currentCaptureId, ...slice, text, links, sensitive });
+    } finally {
+        unmaskElements();
+        if (progressHud) progressHud.setHidden(false);
+    }
+}
+
+// Works out which part of the viewport shows `region` right now.
+// Returns the crop (device pixels, relative to the captured viewport) and the
+// offset of that crop inside the region (CSS pixels), or null if it's offscreen.
+function measureRegionSlice(scroller, region, bounds) {
+    const view = scroller.getViewportRect();
+    const box = region === scroller.node ? view : region.getBoundingClientRect();
+    const doc = document.documentElement;
+
+    const left = Math.max(view.left, box.left, 0);
+    const top = Math.max(view.top, box.top, 0);
+    const right = Math.min(view.right, box.right, doc.clientWidth);
+    const bottom = Math.min(view.bottom, box.bottom, window.innerHeight);
+    if (right - left < 1 || bottom - top < 1) return null;
+
+    const dpr = window.devicePixelRatio;
+    return {
+        x: Math.round(scroller.getScrollLeft() + left - view.left - bounds.left),
+        y: Math.round(scroller.getScrollTop() + top - view.top - bounds.top),
+        crop: {
+            x: Math.round(left * dpr),
+            y: Math.round(top * dpr),
+            width: Math.round((right - left) * dpr),
+            height: Math.round((bottom - top) * dpr)
+        }
+    };
+}
+
+// The part of the viewport (CSS pixels) that ends up in a slice's image
+function getCaptureArea(slice) {
+    if (!slice.crop) {
+        return { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+    }
+    const dpr = window.devicePixelRatio;
+    return {
+        left: slice.crop.x / dpr,
+        top: slice.crop.y / dpr,
+        right: (slice.crop.x + slice.crop.width) / dpr,
+        bottom: (slice.crop.y + slice.crop.height) / dpr
+    };
+}
+
+// Wraps window vs element scrolling behind one interface
+function createScroller(targetNode) {
+    const isWindow = (targetNode === window);
+    const doc = document.documentElement;
+
+    return {
+        node: targetNode,
+        getScrollHeight: () => isWindow ? doc.scrollHeight : targetNode.scrollHeight,
+        getScrollWidth: () => isWindow ? doc.scrollWidth : targetNode.scrollWidth,
+        getClientHeight: () => isWindow ? window.innerHeight : targetNode.clientHeight,
+        // doc.clientWidth excludes the vertical scrollbar, unlike innerWidth
+        getClientWidth: () => isWindow ? doc.clientWidth : targetNode.clientWidth,
+        getScrollTop: () => isWindow ? window.scrollY : targetNode.scrollTop,
+        getScrollLeft: () => isWindow ? window.scrollX : targetNode.scrollLeft,
+        // Visible content box of the target, in viewport coordinates
+        getViewportRect() {
+            if (isWindow) {
+                return { left: 0, top: 0, right: doc.clientWidth, bottom: window.innerHeight };
+            }
+            const rect = targetNode.getBoundingClientRect();
+            const left = rect.left + targetNode.clientLeft;
+            const top = rect.top + targetNode.clientTop;
+            return { left, top, right: left + targetNode.clientWidth, bottom: top + targetNode.clientHeight };
+        },
+        scrollTo(x, y) {
+            if (isWindow) {
+                window.scrollTo(x, y);
+                // Dispatch scroll event for scroll-event-driven content
+                window.dispatchEvent(new Event('scroll', { bubbles: true }));
+            } else {
+                targetNode.scrollLeft = x;
+                targetNode.scrollTop = y;
+                targetNode.dispatchEvent(new Event('scroll', { bubbles: true }));
+            }
+        }
+    };
+}
+
+// --- D. Element Picker ---
+// Highlights the element under the cursor (shadow DOM included) until the user
+// clicks one. Resolves with the element, or null on Escape.
+// ArrowUp widens the selection to the parent element.
+function pickElement() {
+    return new Promise((resolve) => {
+        const overlay = createOverlayHost();
+        overlay.root.innerHTML = `
+            <style>
+                .box {
+                    position: fixed;
+                    display: none;
+                    border: 2px solid #3b82f6;
+                    background: rgba(59, 130, 246, 0.15);
+                    border-radius: 2px;
+                    box-sizing: border-box;
+                }
+                .label {
+                    position: absolute;
+                    top: -24px;
+                    left: -2px;
+                    padding: 2px 6px;
+                    background: #3b82f6;
+                    color: white;
+                    font: 600 11px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    border-radius: 4px;
+                    white-space: nowrap;
+                }
+                .hint {
+                    position: fixed;
+                    top: 16px;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    padding: 8px 14px;
+                    background: rgba(15, 23, 42, 0.9);
+                    color: white;
+                    font: 500 13px/18px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    border-radius: 999px;
+                }
+            </style>
+            <div class="box"><span class="label"></span></div>
+            <div class="hint">Click an element to capture · ↑ select parent · Esc to cancel</div>
+        `;
+        const box = overlay.root.querySelector('.box');
+        const label = overlay.root.querySelector('.label');
+        let current = null;
+
+        const highlight = (el) => {
+            current = el;
+            if (!el) {
+                box.style.display = 'none';
+                return;
+            }
+            const rect = el.getBoundingClientRect();
+            Object.assign(box.style, {
+                display: 'block',
+                left: `${rect.left}px`,
+                top: `${rect.top}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`
+            });
+            label.textContent = `${el.tagName.toLowerCase()} · ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+        };
+
+        const block = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        };
+        const onMove = (e) => {
+            const el = deepElementFromPoint(e.clientX, e.clientY);
+            if (el !== current) highlight(el);
+        };
+        const onScroll = () => highlight(current);
+        const onClick = (e) => {
+            block(e);
+            finish(current);
+        };
+        const onKey = (e) => {
+            if (e.key === 'Escape') {
+                block(e);
+                finish(null);
+            } else if (e.key === 'ArrowUp' && current) {
+                block(e);
+                const parent = current.parentElement || current.getRootNode().host;
+                if (parent && parent !== document.documentElement) highlight(parent);
+            }
+        };
+
+        const listeners = [
+            ['mousemove', onMove],
+            ['mousedown', block],
+            ['mouseup', block],
+            ['click', onClick],
+            ['keydown', onKey],
+            ['scroll', onScroll]
+        ];
+        for (const [type, fn] of listeners) window.addEventListener(type, fn, true);
+
+        function finish(el) {
+            for (const [type, fn] of listeners) window.removeEventListener(type, fn, true);
+            overlay.remove();
+            resolve(el);
+        }
+    });
+}
+
+// document.elementFromPoint stops at shadow hosts; keep descending into open shadow roots
+function deepElementFromPoint(x, y) {
+    let el = document.elementFromPoint(x, y);
+    while (el && el.shadowRoot) {
+        const inner = el.shadowRoot.elementFromPoint(x, y);
+        if (!inner || inner === el) break;
+        el = inner;
+    }
+    return el;
+}
+
+// The element the context menu was just opened on, widened past inline
+// elements (a link or <span> inside a paragraph captures the paragraph).
+// Null if there's no recent right-click to go by; the picker is used then.
+function takeContextTarget() {
+    const record = contextTarget;
+    contextTarget = null;
+    if (!record || Date.now() - record.time > CONTEXT_TARGET_MAX_AGE || !record.element.isConnected) return null;
+
+    let el = record.element;
+    while (el.parentElement && ['inline', 'contents'].includes(window.getComputedStyle(el).display) && el.tagName !== 'IMG') {
+        el = el.parentElement;
+    }
+    return el === document.documentElement || el === document.body ? null : el;
+}
+
+// --- E. Chooser ---
+// Outlines every candidate and lists them in a panel, first one preselected.
+// Hovering a row (or the outline) previews it; Enter/click on Capture confirms.
+// With `multiple`, rows toggle instead (none preselected) and the chosen
+// candidates resolve as an array. Resolves null on cancel.
+function showChooser(candidates, options = {}) {
+    const {
+        title = 'Choose what to capture',
+        confirmLabel = 'Capture',
+        multiple = false,
+        meta = (candidate) => `${candidate === window ? document.documentElement.scrollHeight : candidate.scrollHeight}px tall`
+    } = options;
+
+    return new Promise((resolve) => {
+        const overlay = createOverlayHost();
+        overlay.root.innerHTML = `
+            <style>
+                .outline {
+                    position: fixed;
+                    border: 2px dashed rgba(148, 163, 184, 0.8);
+                    box-sizing: border-box;
+                    border-radius: 4px;
+                }
+                .outline.selected {
+                    border: 3px solid #3b82f6;
+                    background: rgba(59, 130, 246, 0.08);
+                }
+                .outline .num {
+                    position: absolute;
+                    top: 6px;
+                    left: 6px;
+                    width: 20px;
+                    height: 20px;
+                    border-radius: 50%;
+                    background: #475569;
+                    color: white;
+                    font: 700 11px/20px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    text-align: center;
+                }
+                .outline.selected .num { background: #3b82f6; }
+                .panel {
+                    position: fixed;
+                    right: 16px;
+                    bottom: 16px;
+                    width: 300px;
+                    padding: 16px;
+                    background: rgba(15, 23, 42, 0.96);
+                    color: white;
+                    border: 1px solid rgba(148, 163, 184, 0.2);
+                    border-radius: 14px;
+                    box-shadow: 0 12px 40px rgba(0, 0, 0, 0.4);
+                    font: 13px/18px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    pointer-events: auto;
+                }
+                .title { font-weight: 700; margin-bottom: 10px; }
+                .row {
+                    display: flex;
+                    gap: 10px;
+                    align-items: center;
+                    width: 100%;
+                    padding: 8px 10px;
+                    margin-bottom: 4px;
+                    background: transparent;
+                    color: #cbd5e1;
+                    border: 1px solid transparent;
+                    border-radius: 8px;
+                    cursor: pointer;
+                    text-align: left;
+                    font: inherit;
+                }
+                .row:hover { background: rgba(148, 163, 184, 0.1); }
+                .row.selected { border-color: #3b82f6; background: rgba(59, 130, 246, 0.15); color: white; }
+                .row .num { color: #64748b; font-weight: 700; }
+                .row .meta { margin-left: auto; color: #64748b; font-size: 11px; }
+                .buttons { display: flex; gap: 8px; margin-top: 12px; }
+                .buttons button {
+                    flex: 1;
+                    padding: 8px;
+                    border: none;
+                    border-radius: 8px;
+                    font: 600 13px/18px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    cursor: pointer;
+                }
+                .confirm { background: #2563eb; color: white; }
+                .cancel { background: rgba(148, 163, 184, 0.15); color: #cbd5e1; }
+            </style>
+            <div class="outlines"></div>
+            <div class="panel">
+                <div class="title"></div>
+                <div class="rows"></div>
+                <div class="buttons">
+                    <button class="cancel">Cancel</button>
+                    <button class="confirm"></button>
+                </div>
+            </div>
+        `;
+
+        overlay.root.querySelector('.title').textContent = title;
+        overlay.root.querySelector('.confirm').textContent = confirmLabel;
+        const outlines = overlay.root.querySelector('.outlines');
+        const rows = overlay.root.querySelector('.rows');
+        let selected = 0;
+        const checked = new Set(); // Chosen indexes, with `multiple`
+
+        const entries = candidates.map((candidate, i) => {
+            const outline = document.createElement('div');
+            outline.className = 'outline';
+            outline.innerHTML = `<span class="num">${i + 1}</span>`;
+            outlines.appendChild(outline);
+
+            const row = document.createElement('button');
+            row.className = 'row';
+            row.innerHTML = `<span class="num">${i + 1}</span><span class="name"></span><span class="meta"></span>`;
+            row.querySelector('.name').textContent = describeTarget(candidate);
+            row.querySelector('.meta').textContent = meta(candidate);
+            if (multiple) {
+                row.addEventListener('click', () => toggle(i));
+            } else {
+                row.addEventListener('mouseenter', () => select(i));
+                row.addEventListener('click', () => select(i));
+                row.addEventListener('dblclick', () => finish(candidates[i]));
+            }
+            rows.appendChild(row);
+
+            return { candidate, outline, row };
+        });
+
+        const layoutOutlines = () => {
+            for (const { candidate, outline } of entries) {
+                const rect = candidate === window
+                    ? { left: 0, top: 0, width: document.documentElement.clientWidth, height: window.innerHeight }
+                    : candidate.getBoundingClientRect();
+                Object.assign(outline.style, {
+                    left: `${rect.left}px`,
+                    top: `${rect.top}px`,
+                    width: `${rect.width}px`,
+                    height: `${rect.height}px`
+                });
+            }
+        };
+
+        function select(i) {
+            selected = i;
+            entries.forEach((entry, j) => {
+                entry.outline.classList.toggle('selected', j === i);
+                entry.row.classList.toggle('selected', j === i);
+            });
+        }
+
+        function toggle(i) {
+            if (checked.has(i)) {
+                checked.delete(i);
+            } else {
+                checked.add(i);
+            }
+            entries[i].outline.classList.toggle('selected', checked.has(i));
+            entries[i].row.classList.toggle('selected', checked.has(i));
+        }
+
+        const confirm = () => finish(multiple ? candidates.filter((_, i) => checked.has(i)) : candidates[selected]);
+
+        const onKey = (e) => {
+            if (e.key === 'Escape') {
+                finish(null);
+            } else if (e.key === 'Enter') {
+                confirm();
+            } else if (!multiple && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                const delta = e.key === 'ArrowDown' ? 1 : -1;
+                select((selected + delta + entries.length) % entries.length);
+            } else if (/^[1-9]$/.test(e.key) && Number(e.key) <= entries.length) {
+                (multiple ? toggle : select)(Number(e.key) - 1);
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        };
+
+        overlay.root.querySelector('.confirm').addEventListener('click', confirm);
+        overlay.root.querySelector('.cancel').addEventListener('click', () => finish(null));
+        window.addEventListener('keydown', onKey, true);
+        window.addEventListener('scroll', layoutOutlines, true);
+        window.addEventListener('resize', layoutOutlines);
+
+        layoutOutlines();
+        if (!multiple) select(0); // Auto-detected target comes first
+
+        function finish(target) {
+            window.removeEventListener('keydown', onKey, true);
+            window.removeEventListener('scroll', layoutOutlines, true);
+            window.removeEventListener('resize', layoutOutlines);
+            overlay.remove();
+            resolve(target);
+        }
+    });
+}
+
+// Short human-readable label, e.g. "main#content" or "div.sidebar"
+function describeTarget(target) {
+    if (target === window) return 'Entire page';
+    let label = target.tagName.toLowerCase();
+    if (target.id) {
+        label += `#${target.id}`;
+    } else if (target.classList.length > 0) {
+        label += `.${target.classList[0]}`;
+    }
+    return label;
+}
+
+// In-page UI lives in a closed shadow root so page styles can't leak in (or out).
+// The host ignores pointer events, so hit-testing still sees the page underneath.
+function createOverlayHost() {
+    const host = document.createElement('deepscroll-overlay');
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+    document.documentElement.appendChild(host);
+
+    return {
+        root,
+        remove: () => host.remove()
+    };
+}
+
+// --- F. Text Layer ---
+// Records the visible text of a slice as line runs {text, x, y, w, h}, in CSS
+// pixels relative to the slice image's top-left corner. The editor maps them
+// into stitched coordinates for searchable PDFs and "copy text from region".
+// Runs cut by the slice edge are skipped: the overlap between slices means
+// they appear whole in the neighbouring slice.
+function collectTextRuns(area) {
+    const runs = [];
+
+    const walk = (root) => {
+        const walker = createUnmaskedWalker(root);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.shadowRoot) walk(node.shadowRoot);
+                continue;
+            }
+            if (!node.textContent.trim()) continue;
+            measureTextNode(node, area, runs);
+        }
+    };
+
+    walk(document.body || document.documentElement);
+    return runs;
+}
+
+function measureTextNode(node, area, runs) {
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    const box = range.getBoundingClientRect();
+    if (box.right < area.left || box.left > area.right || box.bottom < area.top || box.top > area.bottom) return;
+
+    const parent = node.parentElement;
+    if (!parent || (parent.checkVisibility && !parent.checkVisibility({ opacityProperty: true, visibilityProperty: true }))) return;
+
+    const pushRun = (text, rect) => {
+        // Only runs fully inside the slice (1px slack for subpixel layout)
+        if (rect.width < 1 || rect.left < area.left - 1 || rect.right > area.right + 1 ||
+            rect.top < area.top - 1 || rect.bottom > area.bottom + 1) return;
+        runs.push({ text, ...toAreaRect(rect, area) });
+    };
+
+    if (range.getClientRects().length <= 1) {
+        pushRun(node.textContent.replace(/\s+/g, ' ').trim(), box);
+        return;
+    }
+
+    // Wrapped text: measure word by word and regroup the words into lines
+    const words = /\S+/g;
+    let line = null;
+    for (let match = words.exec(node.textContent); match; match = words.exec(node.textContent)) {
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        const rect = range.getBoundingClientRect();
+        if (!rect.width) continue;
+
+        if (line && Math.abs(rect.top - line.top) < rect.height / 2) {
+            line.text += ' ' + match[0];
+            line.right = Math.max(line.right, rect.right);
+            line.bottom = Math.max(line.bottom, rect.bottom);
+        } else {
+            if (line) pushRun(line.text, new DOMRect(line.left, line.top, line.right - line.left, line.bottom - line.top));
+            line = { text: match[0], left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+        }
+    }
+    if (line) pushRun(line.text, new DOMRect(line.left, line.top, line.right - line.left, line.bottom - line.top));
+}
+
+// --- G. Link Map ---
+// Records the clickable links of a slice as {href, x, y, w, h}, in the same
+// slice-local CSS pixels as the text runs. Wrapped links get one box per line.
+function collectLinks(area) {
+    const links = [];
+
+    for (const anchor of document.querySelectorAll('a[href]')) {
+        const href = anchor.href;
+        if (!/^(https?|mailto):/i.test(href)) continue; // Skip javascript:, fragments handled by the page, etc.
+        if (maskSelector && anchor.closest(maskSelector)) continue;
+        if (anchor.checkVisibility && !anchor.checkVisibility({ opacityProperty: true, visibilityProperty: true })) continue;
+
+        for (const rect of anchor.getClientRects()) {
+            if (rect.width < 1 || rect.height < 1) continue;
+            // Same rule as text: only boxes fully inside the slice
+            if (rect.left < area.left - 1 || rect.right > area.right + 1 ||
+                rect.top < area.top - 1 || rect.bottom > area.bottom + 1) continue;
+            links.push({ href, ...toAreaRect(rect, area) });
+        }
+    }
+
+    return links;
+}
+
+// --- H. Sensitive Data ---
+// With auto-redact on, tags the parts of a slice that look sensitive as
+// {kind, x, y, w, h}; the editor pre-applies redactions over them for review.
+// Unlike text runs, boxes cut by the slice edge are kept (clipped): a partly
+// visible secret still needs covering.
+const REDACT_PATTERNS = {
+    email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    phone: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g,
+    card: /\b\d(?:[ -]?\d){12,18}\b/g,
+    apiKey: /\b(?:[sprk]k_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})|\b(?=[A-Za-z_-]*\d)(?=[\d_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g
+};
+
+// Extra checks that weed out look-alikes (dates, order numbers...)
+const REDACT_VALIDATORS = {
+    phone: (match) => {
+        const digits = match.replace(/\D/g, '').length;
+        return digits >= 9 && digits <= 15;
+    },
+    card: (match) => passesLuhn(match.replace(/\D/g, ''))
+};
+
+// Inputs whose value is always sensitive, whatever it looks like
+const SENSITIVE_INPUT_SELECTOR = 'input[type="password"], input[autocomplete^="cc-"], input[autocomplete="one-time-code"]';
+
+function createRedactMatchers(settings) {
+    const matchers = settings.redactPatterns
+        .filter(kind => REDACT_PATTERNS[kind])
+        .map(kind => ({ kind, regex: REDACT_PATTERNS[kind], validate: REDACT_VALIDATORS[kind] }));
+
+    for (const source of settings.customRedactPatterns) {
+        try {
+            matchers.push({ kind: 'custom', regex: new RegExp(source, 'g') });
+        } catch (err) {
+            console.warn(`DeepScroll: Ignoring invalid redact pattern ${source}`, err);
+        }
+    }
+    return matchers;
+}
+
+function collectSensitiveAreas(area, matchers) {
+    const areas = [];
+    const push = (kind, rect) => {
+        const clipped = clipToArea(rect, area);
+        if (clipped) areas.push({ kind, ...toAreaRect(clipped, area) });
+    };
+
+    const walk = (root) => {
+        const walker = createUnmaskedWalker(root);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.shadowRoot) walk(node.shadowRoot);
+                if (node.matches(SENSITIVE_INPUT_SELECTOR)) push('input', node.getBoundingClientRect());
+                continue;
+            }
+            if (node.textContent.trim().length < 3) continue;
+            matchTextNode(node, matchers, push);
+        }
+    };
+
+    walk(document.body || document.documentElement);
+    return areas;
+}
+
+function matchTextNode(node, matchers, push) {
+    const text = node.textContent;
+    const range = document.createRange();
+
+    for (const { kind, regex, validate } of matchers) {
+        regex.lastIndex = 0;
+        for (let match = regex.exec(text); match; match = regex.exec(text)) {
+            if (!match[0]) {
+                regex.lastIndex++; // Custom patterns may match the empty string
+                continue;
+            }
+            if (validate && !validate(match[0])) continue;
+
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            // One box per line when the match wraps
+            for (const rect of range.getClientRects()) push(kind, rect);
+        }
+    }
+}
+
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+// Part of a viewport rect inside the capture area, or null if none
+function clipToArea(rect, area) {
+    const left = Math.max(rect.left, area.left);
+    const top = Math.max(rect.top, area.top);
+    const right = Math.min(rect.right, area.right);
+    const bottom = Math.min(rect.bottom, area.bottom);
+    if (right - left < 1 || bottom - top < 1) return null;
+    return new DOMRect(left, top, right - left, bottom - top);
+}
+
+// --- I. Site Masking ---
+// Elements matching the selectors configured for this site are blurred or
+// filled with CSS while each slice is captured, so their content never reaches
+// the stored images. Their text and links are left out of the DOM layers too.
+function getMaskSelector(settings) {
+    const host = location.hostname;
+    const selectors = [];
+    for (const [site, list] of Object.entries(settings.maskSelectors || {})) {
+        // '*' applies everywhere; 'example.com' also covers its subdomains
+        if (site !== '*' && host !== site && !host.endsWith(`.${site}`)) continue;
+        for (const selector of list) {
+            try {
+                document.querySelector(selector); // Throws on invalid syntax
+                selectors.push(selector);
+            } catch {
+                console.warn(`DeepScroll: Ignoring invalid mask selector ${selector}`);
+            }
+        }
+    }
+    return selectors.length ? selectors.join(', ') : null;
+}
+
+function getMaskStyle(settings) {
+    return MASK_STYLES[settings.maskStyle] || MASK_STYLES.blur;
+}
+
+function maskElements(style) {
+    if (!maskSelector) return;
+    const roots = [document, ...getAllElements().filter(el => el.shadowRoot).map(el => el.shadowRoot)];
+
+    for (const root of roots) {
+        for (const el of root.querySelectorAll(maskSelector)) {
+            const original = {};
+            for (const [prop, value] of Object.entries(style)) {
+                original[prop] = [el.style.getPropertyValue(prop), el.style.getPropertyPriority(prop)];
+                el.style.setProperty(prop, value, 'important');
+            }
+            maskedElements.push({ element: el, original });
+        }
+    }
+}
+
+function unmaskElements() {
+    for (const { element, original } of maskedElements) {
+        for (const [prop, [value, priority]] of Object.entries(original)) {
+            element.style.setProperty(prop, value, priority);
+        }
+    }
+    maskedElements = [];
+}
+
+// Tree walker over elements and text that skips masked subtrees
+function createUnmaskedWalker(root) {
+    return document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (maskSelector && node.nodeType === Node.ELEMENT_NODE && node.matches(maskSelector))
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+}
+
+// --- J. Overlay Cleanup ---
+// Hides consent banners, chat launchers and page-covering modals before the
+// capture starts, and lifts the scroll lock modals put on the page.
+// Everything is restored once the capture ends.
+const CONSENT_SELECTORS = [
+    '#onetrust-consent-sdk', '#onetrust-banner-sdk', '#CybotCookiebotDialog', '#usercentrics-root',
+    '#didomi-host', '.qc-cmp2-container', '.fc-consent-root', '[id^="sp_message_container"]',
+    '#truste-consent-track', '.truste_overlay', '#cookie-law-info-bar', '.cc-window', '#cmpbox',
+    '#cookiescript_injected', '.osano-cm-window', '#iubenda-cs-banner', '#cookie-notice', '.cookie-banner'
+];
+
+const CHAT_SELECTORS = [
+    '#intercom-container', '.intercom-lightweight-app', '#hubspot-messages-iframe-container',
+    '#drift-widget-container', '#drift-frame-controller', '.crisp-client', 'iframe#launcher',
+    '#fc_frame', '#tidio-chat', '#chat-widget-container', '.zEWidget-launcher'
+];
+
+// A fixed element this far up the stack covering this much of the viewport is a modal or its backdrop
+const OVERLAY_MIN_Z_INDEX = 1000;
+const OVERLAY_MIN_COVERAGE = 0.5;
+
+// The popup's per-site rule wins over the global toggle
+function shouldDismissOverlays(settings) {
+    const host = location.hostname;
+    const rule = Object.entries(settings.overlaySiteRules || {})
+        .find(([site]) => host === site || host.endsWith(`.${site}`))?.[1];
+    if (rule === 'allow') return true;
+    if (rule === 'deny') return false;
+    return settings.dismissOverlays;
+}
+
+function dismissOverlays() {
+    const overlays = new Set(document.querySelectorAll([...CONSENT_SELECTORS, ...CHAT_SELECTORS].join(', ')));
+
+    const viewportArea = window.innerWidth * window.innerHeight;
+    for (const el of getAllElements()) {
+        if (el.tagName === 'DEEPSCROLL-OVERLAY') continue;
+        const style = window.getComputedStyle(el);
+        if (style.position !== 'fixed' || !(Number(style.zIndex) >= OVERLAY_MIN_Z_INDEX)) continue;
+        // Fixed app shells cover the viewport too, but hold the page's main content
+        if (el.querySelector('main, [role="main"]')) continue;
+
+        const rect = el.getBoundingClientRect();
+        const width = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+        const height = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+        if (width * height >= viewportArea * OVERLAY_MIN_COVERAGE) overlays.add(el);
+    }
+
+    for (const el of overlays) {
+        setInlineStyle(el, 'display', 'none');
+    }
+
+    // Modals usually stop the page scrolling underneath them
+    if (overlays.size > 0) {
+        for (const el of [document.documentElement, document.body]) {
+            if (el && window.getComputedStyle(el).overflowY === 'hidden') {
+                setInlineStyle(el, 'overflow', 'visible');
+            }
+        }
+        console.log(`DeepScroll: Dismissed ${overlays.size} overlay(s).`);
+    }
+}
+
+function setInlineStyle(el, prop, value) {
+    dismissedOverlays.push({ element: el, prop, value: el.style.getPropertyValue(prop), priority: el.style.getPropertyPriority(prop) });
+    el.style.setProperty(prop, value, 'important');
+}
+
+function restoreOverlays() {
+    // Reverse order, in case one element was changed twice
+    for (const { element, prop, value, priority } of dismissedOverlays.reverse()) {
+        element.style.setProperty(prop, value, priority);
+    }
+    dismissedOverlays = [];
+}
+
+// --- K. Render Readiness ---
+// Resolves once the page has settled after a scroll: images in the viewport
+// decoded, web fonts loaded, and neither DOM mutations nor finished network
+// requests for `quietPeriod`. Never takes longer than `maxWait`.
+// The network check is an approximation: resource timing only reports
+// requests once they finish, so one still in flight when the page goes quiet
+// isn't waited for (its images are, if they're in the viewport).
+async function waitForRender({ minWait = RENDER_MIN_WAIT, quietPeriod = RENDER_QUIET_PERIOD, maxWait = RENDER_MAX_WAIT } = {}) {
+    const start = performance.now();
+    let lastActivity = start;
+    const touch = () => { lastActivity = performance.now(); };
+
+    const mutations = new MutationObserver(touch);
+    mutations.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+
+    let network = null;
+    try {
+        network = new PerformanceObserver(touch);
+        network.observe({ type: 'resource' });
+    } catch {
+        network = null; // Resource timing unavailable; DOM quiescence still applies
+    }
+
+    const quiet = async () => {
+        while (performance.now() - lastActivity < quietPeriod) {
+            await wait(Math.max(16, quietPeriod - (performance.now() - lastActivity)));
+        }
+    };
+
+    try {
+        await Promise.race([
+            Promise.all([
+                nextFrame(),
+                decodeVisibleImages(),
+                document.fonts ? document.fonts.ready : null,
+                quiet()
+            ]),
+            wait(maxWait)
+        ]);
+    } finally {
+        mutations.disconnect();
+        if (network) network.disconnect();
+    }
+
+    const elapsed = performance.now() - start;
+    if (elapsed < minWait) await wait(minWait - elapsed);
+}
+
+// waitForRender options from the user's timing settings
+function getRenderWait(settings) {
+    return { quietPeriod: settings.renderQuietPeriod, maxWait: settings.renderMaxWait };
+}
+
+// Waits for the images intersecting the viewport to load and decode.
+// Lazy images near the viewport (where the next slice will be) are switched to
+// eager so they are already loading; the rest of the page stays lazy.
+function decodeVisibleImages() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const pending = [];
+    for (const img of document.images) {
+        const rect = img.getBoundingClientRect();
+        if (img.loading === 'lazy' && !img.complete && isNearViewport(rect, EAGER_IMAGE_MARGIN)) {
+            img.loading = 'eager'; // Don't leave it to the browser's margin
+        }
+        if (rect.bottom < 0 || rect.top > height || rect.right < 0 || rect.left > width) continue;
+        if (rect.width === 0 || rect.height === 0) continue;
+        pending.push(img.decode().catch(() => {})); // Broken images don't block the capture
+    }
+    return Promise.all(pending);
+}
+
+// Whether a rect lies within `margin` viewports of the current one
+function isNearViewport(rect, margin) {
+    const dx = window.innerWidth * margin;
+    const dy = window.innerHeight * margin;
+    return rect.bottom >= -dy && rect.top <= window.innerHeight + dy &&
+        rect.right >= -dx && rect.left <= window.innerWidth + dx;
+}
+
+// Two animation frames: style changes are painted by then
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
+// --- L. Progress HUD ---
+// Small panel showing slice count, estimated total and elapsed time, with
+// Cancel and "Stop here" (open the editor with what's captured so far).
+// captureLoop hides it while each slice is taken, so it never shows up in one.
+function createProgressHud() {
+    const overlay = createOverlayHost();
+    overlay.root.innerHTML = `
+        <style>
+            .hud {
+                position: fixed;
+                left: 50%;
+                bottom: 20px;
+                transform: translateX(-50%);
+                display: flex;
+                align-items: center;
+                gap: 14px;
+                padding: 10px 12px 10px 16px;
+                background: rgba(15, 23, 42, 0.96);
+                color: white;
+                border: 1px solid rgba(148, 163, 184, 0.2);
+                border-radius: 14px;
+                box-shadow: 0 12px 40px rgba(0, 0, 0, 0.4);
+                font: 13px/18px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                pointer-events: auto;
+            }
+            .hud.error { border-color: rgba(248, 113, 113, 0.6); }
+            .status { font-weight: 600; min-width: 150px; }
+            .hud.error .status { color: #fca5a5; font-weight: 500; max-width: 360px; }
+            .meta { color: #94a3b8; font-size: 12px; font-variant-numeric: tabular-nums; }
+            .bar { width: 120px; height: 4px; border-radius: 2px; background: rgba(148, 163, 184, 0.2); overflow: hidden; }
+            .bar div { height: 100%; width: 0; background: #3b82f6; transition: width 0.2s; }
+            button {
+                padding: 6px 12px;
+                border: none;
+                border-radius: 8px;
+                font: 600 12px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                cursor: pointer;
+            }
+            .stop { background: #2563eb; color: white; }
+            .cancel, .close { background: rgba(148, 163, 184, 0.15); color: #cbd5e1; }
+            [hidden] { display: none; }
+        </style>
+        <div class="hud">
+            <span class="status">Preparing page…</span>
+            <div class="bar"><div></div></div>
+            <span class="meta">0:00</span>
+            <button class="cancel">Cancel</button>
+            <button class="stop">Stop here</button>
+            <button class="close" hidden>Close</button>
+        </div>
+    `;
+
+    const hud = overlay.root.querySelector('.hud');
+    const status = overlay.root.querySelector('.status');
+    const bar = overlay.root.querySelector('.bar div');
+    const meta = overlay.root.querySelector('.meta');
+    const started = Date.now();
+    let removeTimer = null;
+
+    const tick = () => {
+        const seconds = Math.floor((Date.now() - started) / 1000);
+        meta.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    const timer = setInterval(tick, 1000);
+
+    const request = (kind) => {
+        stopRequest = kind;
+        status.textContent = kind === 'cancel' ? 'Cancelling…' : 'Finishing…';
+        overlay.root.querySelectorAll('.cancel, .stop').forEach(button => { button.disabled = true; });
+    };
+    const onKey = (e) => {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        e.stopPropagation();
+        request('cancel');
+    };
+
+    overlay.root.querySelector('.cancel').addEventListener('click', () => request('cancel'));
+    overlay.root.querySelector('.stop').addEventListener('click', () => request('stop'));
+    overlay.root.querySelector('.close').addEventListener('click', () => remove());
+    window.addEventListener('keydown', onKey, true);
+
+    function remove() {
+        clearInterval(timer);
+        clearTimeout(removeTimer);
+        window.removeEventListener('keydown', onKey, true);
+        overlay.remove();
+    }
+
+    return {
+        update({ count, total, failed = 0 }) {
+            if (stopRequest) return;
+            status.textContent = `Slice ${count} of ~${Math.max(count, total)}` + (failed ? ` (${failed} failed)` : '');
+            bar.style.width = `${Math.min(100, (count / Math.max(count, total, 1)) * 100)}%`;
+        },
+        setHidden(hidden) {
+            hud.style.visibility = hidden ? 'hidden' : '';
+        },
+        // Stays up (with a Close button) instead of vanishing with the capture
+        showError(message) {
+            clearInterval(timer);
+            window.removeEventListener('keydown', onKey, true);
+            hud.style.visibility = '';
+            hud.classList.add('error');
+            status.textContent = `Capture failed: ${message}`;
+            overlay.root.querySelector('.bar').hidden = true;
+            overlay.root.querySelectorAll('.cancel, .stop').forEach(button => { button.hidden = true; });
+            overlay.root.querySelector('.close').hidden = false;
+            removeTimer = setTimeout(remove, 10000);
+        },
+        remove
+    };
+}
+
+// --- M. Viewport Capture ---
+// Single-shot capture of what's on screen, or of a rectangle dragged over it.
+// Resolves the captured slice list, or null if the selection was cancelled.
+async function captureViewport(mode, maskStyle) {
+    let crop = null;
+    if (mode === 'area') {
+        const rect = await selectArea();
+        if (!rect) return null;
+        const dpr = window.devicePixelRatio;
+        crop = {
+            x: Math.round(rect.left * dpr),
+            y: Math.round(rect.top * dpr),
+            width: Math.round(rect.width * dpr),
+            height: Math.round(rect.height * dpr)
+        };
+    }
+
+    await beginSession();
+    const response = await captureSlice({ x: 0, y: 0, crop }, maskStyle);
+    if (!response || !response.success) {
+        throw new Error(`Capture failed: ${response?.error}`);
+    }
+    return [{ x: 0, y: 0, sliceId: response.sliceId }];
+}
+
+// Crosshair overlay: drag out a rectangle of the viewport. Resolves it (CSS
+// pixels, viewport-relative), or null on Escape or a click without a drag.
+function selectArea() {
+    return new Promise((resolve) => {
+        const overlay = createOverlayHost();
+        overlay.root.innerHTML = `
+            <style>
+                .surface {
+                    position: fixed;
+                    inset: 0;
+                    cursor: crosshair;
+                    pointer-events: auto;
+                    background: rgba(15, 23, 42, 0.25);
+                }
+                .surface.dragging { background: transparent; }
+                .box {
+                    position: fixed;
+                    display: none;
+                    border: 1px solid #3b82f6;
+                    box-shadow: 0 0 0 9999px rgba(15, 23, 42, 0.35);
+                    box-sizing: border-box;
+                }
+                .size {
+                    position: absolute;
+                    right: 0;
+                    bottom: -22px;
+                    padding: 1px 6px;
+                    background: #3b82f6;
+                    color: white;
+                    font: 600 11px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    border-radius: 4px;
+                    white-space: nowrap;
+                }
+                .hint {
+                    position: fixed;
+                    top: 16px;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    padding: 8px 14px;
+                    background: rgba(15, 23, 42, 0.9);
+                    color: white;
+                    font: 500 13px/18px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    border-radius: 999px;
+                    pointer-events: none;
+                }
+            </style>
+            <div class="surface"></div>
+            <div class="box"><span class="size"></span></div>
+            <div class="hint">Drag to select an area · Esc to cancel</div>
+        `;
+
+        const surface = overlay.root.querySelector('.surface');
+        const box = overlay.root.querySelector('.box');
+        const size = overlay.root.querySelector('.size');
+        const hint = overlay.root.querySelector('.hint');
+        let start = null;
+        let rect = null;
+
+        // Stay inside the viewport, scrollbars excluded
+        const clampPoint = (e) => ({
+            x: Math.min(Math.max(e.clientX, 0), document.documentElement.clientWidth),
+            y: Math.min(Math.max(e.clientY, 0), window.innerHeight)
+        });
+
+        const onDown = (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            start = clampPoint(e);
+            surface.classList.add('dragging');
+            hint.style.display = 'none';
+        };
+        const onMove = (e) => {
+            if (!start) return;
+            const p = clampPoint(e);
+            rect = {
+                left: Math.min(start.x, p.x),
+                top: Math.min(start.y, p.y),
+                width: Math.abs(p.x - start.x),
+                height: Math.abs(p.y - start.y)
+            };
+            Object.assign(box.style, {
+                display: 'block',
+                left: `${rect.left}px`,
+                top: `${rect.top}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`
+            });
+            size.textContent = `${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+        };
+        const onUp = () => {
+            if (!start) return;
+            finish(rect && rect.width >= 5 && rect.height >= 5 ? rect : null);
+        };
+        const onKey = (e) => {
+            if (e.key !== 'Escape') return;
+            e.preventDefault();
+            e.stopPropagation();
+            finish(null);
+        };
+
+        surface.addEventListener('mousedown', onDown);
+        window.addEventListener('mousemove', onMove, true);
+        window.addEventListener('mouseup', onUp, true);
+        window.addEventListener('keydown', onKey, true);
+
+        function finish(result) {
+            window.removeEventListener('mousemove', onMove, true);
+            window.removeEventListener('mouseup', onUp, true);
+            window.removeEventListener('keydown', onKey, true);
+            overlay.remove();
+            resolve(result);
+        }
+    });
+}
+
 // --- Utils ---
+// Viewport rect -> rect relative to the capture area, rounded to 0.1px
+function toAreaRect(rect, area) {
+    const round = (v) => Math.round(v * 10) / 10;
+    return {
+        x: round(rect.left - area.left),
+        y: round(rect.top - area.top),
+        w: round(rect.width),
+        h: round(rect.height)
+    };
+}
+
+// The user's settings (chrome.storage.local `settings`) over the defaults above
+async function loadSettings() {
+    try {
+        const { settings } = await chrome.storage.local.get('settings');
+        return { ...DEFAULT_SETTINGS, ...settings };
+    } catch (err) {
+        console.warn("DeepScroll: Could not read settings, using defaults.", err);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
 function wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -2,7 +2,10 @@
 import React, { useEffect, useState } from 'react';
 import Canvas from './Canvas';
 import Toolbar from './Toolbar';
-import { getSlice } from '../utils/db';
+import ExportDialog from './ExportDialog';
+import { getCapture, getCaptureSlices, updateCapture } from '../utils/db';
+import { getCaptureIdFromLocation } from '../utils/editor';
+import { DEFAULT_SETTINGS, getSettings } from '../utils/settings';
 
 export default function App() {
   const [slices, setSlices] = useState([]);
@@ -12,58 +15,76 @@ export default function App() {
   const [isBeautified, setIsBeautified] = useState(false);
   const [hasFooter, setHasFooter] = useState(false);
   const [activeTool, setActiveTool] = useState('select');
+  const [activeColor, setActiveColor] = useState(DEFAULT_SETTINGS.annotationColor);
   const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [exportOptions, setExportOptions] = useState(null); // Last used, to reopen the dialog with
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
 
   const [metadata, setMetadata] = useState(null);
+  const [captureId] = useState(() => getCaptureIdFromLocation());
+  const [editsLoaded, setEditsLoaded] = useState(false);
+  const [autoRedacted, setAutoRedacted] = useState(false); // Auto-redactions are part of the edits (see scene.js)
+  const [documentEdits, setDocumentEdits] = useState({ annotations: [], crop: null });
 
   useEffect(() => {
-    loadSlices();
+    loadCapture();
   }, []);
 
-  async function loadSlices() {
+  // Persist editor state with the capture, so reopening (or reloading) restores it.
+  // Nothing is saved until the canvas has applied the auto-redactions: edits
+  // saved without them would make every later open and export skip them.
+  useEffect(() => {
+    if (!editsLoaded || !autoRedacted) return;
+    updateCapture(captureId, { edits: { isBeautified, hasFooter, autoRedacted, ...documentEdits } })
+      .catch(err => console.error("Failed to save edits:", err));
+  }, [editsLoaded, autoRedacted, isBeautified, hasFooter, documentEdits]);
+
+  async function loadCapture() {
     try {
-      const hash = window.location.hash.substring(1);
-      if (!hash) {
-        console.warn("No slice IDs found in hash");
-        setLoading(false);
+      if (captureId === null) {
+        console.warn("No capture ID found in URL");
         return;
       }
 
-      const json = decodeURIComponent(hash);
-      const data = JSON.parse(json);
-
-      let ids = [];
-      let meta = null;
-
-      // Handle legacy (array) vs new (object) format
-      if (Array.isArray(data)) {
-        ids = data;
-      } else {
-        ids = data.ids;
-        meta = data.meta;
-        setMetadata(meta);
+      const capture = await getCapture(captureId);
+      if (!capture) {
+        console.warn(`Capture ${captureId} not found`);
+        return;
       }
 
-      const loadedSlices = [];
-      for (const id of ids) {
-        const slice = await getSlice(id);
-        if (slice) loadedSlices.push(slice);
+      setMetadata(capture.meta);
+      if (capture.edits) {
+        setIsBeautified(!!capture.edits.isBeautified);
+        setHasFooter(!!capture.edits.hasFooter);
+        setDocumentEdits({
+          annotations: capture.edits.annotations || [],
+          crop: capture.edits.crop || null
+        });
       }
+      setAutoRedacted(!!capture.edits?.autoRedacted);
+
+      // Settings must be in place before the canvas mounts with the slices
+      const loaded = await getSettings();
+      setSettings(loaded);
+      setActiveColor(loaded.annotationColor);
+      setExportOptions({ format: loaded.exportFormat, quality: loaded.exportQuality });
 
-      setSlices(loadedSlices);
+      setSlices(await getCaptureSlices(capture));
+      setEditsLoaded(true);
     } catch (err) {
-      console.error("Failed to load slices:", err);
+      console.error("Failed to load capture:", err);
     } finally {
       setLoading(false);
     }
   }
 
   // --- Actions ---
-  const handleDownload = () => {
-    // Logic delegated to Canvas or separate utility using ref? 
-    // Need a way to extract the final image. 
-    // Maybe pass a ref down to Canvas?
-    const event = new CustomEvent('DEEPSCROLL_EXPORT', { detail: { format: 'png' } });
+  const handleDownload = (options) => {
+    // Rendering lives in Canvas; it listens for the export event
+    setShowExportDialog(false);
+    setExportOptions(options);
+    const event = new CustomEvent('DEEPSCROLL_EXPORT', { detail: { format: options.format, options } });
     window.dispatchEvent(event);
   };
 
@@ -121,10 +142,16 @@ export default function App() {
               <Canvas
                 slices={slices}
                 metadata={metadata}
+                edits={documentEdits}
+                applyAutoRedactions={!autoRedacted}
+                onAutoRedactionsApplied={() => setAutoRedacted(true)}
                 activeTool={activeTool}
+                activeColor={activeColor}
                 hasFooter={hasFooter}
                 isBeautified={isBeautified}
+                settings={settings}
                 onHistoryChange={setHistoryState}
+                onEditsChange={setDocumentEdits}
               />
             </div>
           </div>
@@ -164,13 +191,23 @@ export default function App() {
         canUndo={historyState.canUndo}
         canRedo={historyState.canRedo}
         onToolSelect={setActiveTool}
+        activeColor={activeColor}
+        onColorSelect={setActiveColor}
         isBeautified={isBeautified}
         onToggleBeautify={() => setIsBeautified(!isBeautified)}
         hasFooter={hasFooter}
         onToggleFooter={() => setHasFooter(!hasFooter)}
-        onDownload={handleDownload}
+        onDownload={() => setShowExportDialog(true)}
         onCopy={handleCopy}
       />
+
+      {showExportDialog && (
+        <ExportDialog
+          initialOptions={exportOptions}
+          onExport={handleDownload}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
     </div>
   );
 }
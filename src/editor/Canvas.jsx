@@ -1,6 +1,14 @@
 /**
  * @fileoverview Canvas component for the DeepScroll editor.
  * Handles image stitching, rendering, and all drawing tool interactions.
+ *
+ * Captures can be far taller than a browser canvas allows, so nothing is ever
+ * composited into one canvas: the output is split into bands, only bands near
+ * the viewport are rendered, and exports are encoded band by band.
+ *
+ * Editing is non-destructive: the stitched image is never painted on. Tools add
+ * annotation objects (see tools.js) and crop is a view rectangle; both are drawn
+ * over the base image and only flattened into pixels at export time.
  * @module Canvas
  */
 
@@ -10,114 +18,221 @@ import { CONSTANTS } from './constants.js';
 import {
     getInternalCoords,
     getRectBounds,
-    drawArrow,
-    drawRect,
-    drawPenLine,
-    applyRedaction,
-    applyPixelation,
-    drawText
+    createAnnotation,
+    drawAnnotation,
+    getAnnotationBounds,
+    getAnnotationHandles,
+    hitTestAnnotation,
+    moveAnnotation,
+    resizeAnnotation
 } from './tools.js';
+import { stitchLayout, closeLayout } from './stitcher.js';
+import {
+    createAutoRedactions,
+    drawScene,
+    getSceneView,
+    getScenePadding,
+    getSceneSize as getDocumentSceneSize,
+    renderSceneRows as renderDocumentRows,
+    readSceneRows as readDocumentRows
+} from './scene.js';
+import { encodePng } from './export/png.js';
+import { createPdf } from './export/pdf.js';
+import { createImageMapHtml } from './export/html.js';
+import { IMAGE_FORMATS, encodeImage, estimateImageSize, getEncodeError, getOutputSize } from './export/image.js';
+import { buildLinkLayer, buildSensitiveLayer, buildTextLayer, clipToRect, excludeCovered, findTextInRect, textFromRuns } from './layers.js';
+import { useHistory } from './hooks';
+import { DEFAULT_SETTINGS } from '../utils/settings';
+import { getDownloadPath } from '../utils/filename';
+
+/** Tools that show a rubber-band selection instead of a live preview */
+const BOX_SELECT_TOOLS = ['crop', 'blur', 'redact', 'copytext'];
+
+/**
+ * Splits the output height into the bands it is displayed and exported in.
+ * @param {number} height - Output height in device px
+ * @returns {Array<Object>} Bands [{y, h}]
+ */
+function splitBands(height) {
+    const bands = [];
+    for (let y = 0; y < height; y += CONSTANTS.TILE_HEIGHT) {
+        bands.push({ y, h: Math.min(CONSTANTS.TILE_HEIGHT, height - y) });
+    }
+    return bands;
+}
+
+/** Whether a single canvas of this size stays within browser limits */
+function fitsInCanvas(width, height) {
+    return width <= CONSTANTS.MAX_CANVAS_DIMENSION &&
+        height <= CONSTANTS.MAX_CANVAS_DIMENSION &&
+        width * height <= CONSTANTS.MAX_CANVAS_AREA;
+}
 
 /**
  * Canvas component for editing and annotating stitched screenshots.
- * 
+ *
  * @component
  * @param {Object} props - Component props
- * @param {Array} props.slices - Array of image slice objects with dataUrl and y position
+ * @param {Array} props.slices - Array of image slice objects with dataUrl and x/y position
  * @param {Object} props.metadata - Capture metadata (url, title, capturedAt, devicePixelRatio)
+ * @param {Object} props.edits - Saved edits to start from ({annotations, crop})
+ * @param {boolean} props.applyAutoRedactions - Pre-apply redactions over the sensitive areas found during capture
+ * @param {Function} props.onAutoRedactionsApplied - Called once those redactions are part of the edits
  * @param {Function} props.onStitchComplete - Callback when stitching completes
  * @param {string} props.activeTool - Currently selected tool ('select', 'blur', 'redact', etc.)
+ * @param {string} props.activeColor - Color for new annotations and for recoloring the selection
  * @param {boolean} props.hasFooter - Whether to display the metadata footer
  * @param {boolean} props.isBeautified - Whether beautify mode (padding/shadow) is enabled
+ * @param {Object} [props.settings] - User settings (annotation style, beautify look, download naming)
  * @param {Function} props.onHistoryChange - Callback when history state changes
+ * @param {Function} props.onEditsChange - Callback with {annotations, crop} after every edit
  * @returns {JSX.Element} The Canvas component
  */
-export default function Canvas({ slices, metadata, onStitchComplete, activeTool, hasFooter, isBeautified, onHistoryChange }) {
-    const canvasRef = useRef(null);
+export default function Canvas({
+    slices,
+    metadata = null,
+    edits = null,
+    applyAutoRedactions = false,
+    onAutoRedactionsApplied = null,
+    onStitchComplete = null,
+    activeTool,
+    activeColor = CONSTANTS.ANNOTATION_COLOR,
+    hasFooter = false,
+    isBeautified = false,
+    settings = DEFAULT_SETTINGS,
+    onHistoryChange = null,
+    onEditsChange = null
+}) {
+    const containerRef = useRef(null);
+    const bandRefs = useRef([]); // One display canvas per band
+    const visibleBandsRef = useRef(new Set());
+    const renderBandRef = useRef(null);
     const [stitching, setStitching] = useState(false);
-    const [finalImage, setFinalImage] = useState(null);
+    const [finalImage, setFinalImage] = useState(null); // Stitched layout (see stitcher.js)
+    const [textRuns, setTextRuns] = useState([]); // Page text in image coordinates (see layers.js)
+    const [linkAreas, setLinkAreas] = useState([]); // Page links in image coordinates
+
+    // Document State (image coordinates; the base image itself is never modified)
+    const [annotations, setAnnotations] = useState(() => edits?.annotations || []);
+    const [crop, setCrop] = useState(() => edits?.crop || null);
+    const [selectedId, setSelectedId] = useState(null);
 
     // Interaction State
     const [isDrawing, setIsDrawing] = useState(false);
     const [startPos, setStartPos] = useState(null);
     const [currentPos, setCurrentPos] = useState(null);
-    const editCanvasRef = useRef(null);
+    const [draft, setDraft] = useState(null); // Annotation being drawn
+    const [dragPreview, setDragPreview] = useState(null); // Selected annotation while moved/resized
+    const dragRef = useRef(null); // {mode: 'move'|'resize', handle, original, start}
 
-    // History State
-    const [history, setHistory] = useState([]);
-    const [historyIndex, setHistoryIndex] = useState(-1);
+    // History State (patch records, see hooks/useHistory.js)
+    const history = useHistory();
 
-    // Listen for Export/Undo/Redo events
+    // Listen for Export/Estimate/Undo/Redo events
     useEffect(() => {
         const handleExport = (e) => {
-            const { format, toClipboard } = e.detail;
-            exportImage(toClipboard);
+            const { format, toClipboard, options } = e.detail;
+            if (toClipboard) {
+                copyImage();
+            } else if (format === 'pdf') {
+                exportPdf(options);
+            } else if (format === 'html') {
+                exportHtml();
+            } else {
+                exportImage({ ...options, format });
+            }
+        };
+        const handleEstimate = (e) => {
+            const { options, callback } = e.detail;
+            if (!finalImage || options.format === 'pdf' || options.format === 'html') return callback(null);
+            estimateExport(options).then(callback).catch((err) => {
+                console.error("Size estimate failed:", err);
+                callback(null);
+            });
         };
         const handleUndo = () => undo();
         const handleRedo = () => redo();
 
         window.addEventListener('DEEPSCROLL_EXPORT', handleExport);
+        window.addEventListener('DEEPSCROLL_ESTIMATE', handleEstimate);
         window.addEventListener('DEEPSCROLL_UNDO', handleUndo);
         window.addEventListener('DEEPSCROLL_REDO', handleRedo);
 
         return () => {
             window.removeEventListener('DEEPSCROLL_EXPORT', handleExport);
+            window.removeEventListener('DEEPSCROLL_ESTIMATE', handleEstimate);
             window.removeEventListener('DEEPSCROLL_UNDO', handleUndo);
             window.removeEventListener('DEEPSCROLL_REDO', handleRedo);
         };
-    }, [finalImage, hasFooter, isBeautified, history, historyIndex]); // Dependencies
+    }, [finalImage, hasFooter, isBeautified, settings, annotations, crop]); // Dependencies
+
+    // Delete/Backspace removes the selected annotation
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!selectedId || activeTool !== 'select') return;
+            if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                commit(annotations.filter(a => a.id !== selectedId), crop);
+                setSelectedId(null);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [selectedId, activeTool, annotations, crop]);
+
+    // Only the select tool keeps a selection
+    useEffect(() => {
+        if (activeTool !== 'select') setSelectedId(null);
+    }, [activeTool]);
+
+    // Picking a color recolors the selected annotation
+    useEffect(() => {
+        if (!selectedId) return;
+        const target = annotations.find(a => a.id === selectedId);
+        if (!target || target.type === 'blur' || target.color === activeColor) return;
+        commit(annotations.map(a => a.id === selectedId ? { ...a, color: activeColor } : a), crop);
+    }, [activeColor]);
 
     // Report History State
     useEffect(() => {
         if (onHistoryChange) {
             onHistoryChange({
-                canUndo: historyIndex > 0,
-                canRedo: historyIndex < history.length - 1
+                canUndo: history.canUndo,
+                canRedo: history.canRedo
             });
         }
-    }, [history, historyIndex, onHistoryChange]);
-
-    function saveState() {
-        if (!editCanvasRef.current) return;
-        const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-        const w = editCanvasRef.current.width;
-        const h = editCanvasRef.current.height;
-        // Optimization: Use toDataURL for lighter memory? 
-        // Or ImageData. ImageData is large but fast. 10MB per screen. 
-        // 10 screens = 100MB. Fine for desktop.
-        // Limit history?
-        if (history.length > 20) {
-            // Future: shift logic. For now simple.
-        }
-
-        const data = ctx.getImageData(0, 0, w, h);
-        const newHistory = history.slice(0, historyIndex + 1);
-        newHistory.push(data);
-        setHistory(newHistory);
-        setHistoryIndex(newHistory.length - 1);
+    }, [history.canUndo, history.canRedo, onHistoryChange]);
+
+    /**
+     * Applies a new document state and records it in history.
+     * @param {Array<Object>} nextAnnotations - The full annotation list
+     * @param {Object|null} nextCrop - Crop rectangle in image coordinates
+     */
+    function commit(nextAnnotations, nextCrop) {
+        const next = { annotations: nextAnnotations, crop: nextCrop };
+        history.record({ annotations, crop }, next);
+
+        setAnnotations(nextAnnotations);
+        setCrop(nextCrop);
+        if (onEditsChange) onEditsChange(next);
     }
 
     function undo() {
-        if (historyIndex <= 0) return;
-        const newIndex = historyIndex - 1;
-        setHistoryIndex(newIndex);
-        restoreState(history[newIndex]);
+        const state = history.undo({ annotations, crop });
+        if (state) restoreState(state);
     }
 
     function redo() {
-        if (historyIndex >= history.length - 1) return;
-        const newIndex = historyIndex + 1;
-        setHistoryIndex(newIndex);
-        restoreState(history[newIndex]);
+        const state = history.redo({ annotations, crop });
+        if (state) restoreState(state);
     }
 
-    function restoreState(imageData) {
-        if (!editCanvasRef.current) return;
-        editCanvasRef.current.width = imageData.width;
-        editCanvasRef.current.height = imageData.height;
-        const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-        ctx.putImageData(imageData, 0, 0);
-        renderCanvas();
+    function restoreState(state) {
+        setAnnotations(state.annotations);
+        setCrop(state.crop);
+        setSelectedId(null);
+        if (onEditsChange) onEditsChange(state);
     }
 
     useEffect(() => {
@@ -125,505 +240,580 @@ export default function Canvas({ slices, metadata, onStitchComplete, activeTool,
         stitchImages();
     }, [slices]);
 
-    // Re-draw when footer/beautify toggles change? 
-    // No, stitchImages creates the base. We should composite on top for the display?
-    // Actually, for performance, we stitch ONCE.
-    // Then we render that stitched image to the canvas, potentially adding footer/padding.
-
+    // Stitch ONCE; every render composites annotations, footer and padding on top.
     useEffect(() => {
-        if (finalImage || editCanvasRef.current) {
+        if (finalImage) {
             renderCanvas();
         }
-    }, [finalImage, hasFooter, isBeautified, isDrawing, currentPos]);
-
-    async function stitchImages() {
-        try {
-            setStitching(true);
-            const images = await Promise.all(
-                slices.map((slice) => loadImage(slice.dataUrl))
-            );
-
-            if (images.length === 0) {
-                setStitching(false);
-                return;
-            }
-
-            const width = images[0].width;
-            const dpr = metadata?.devicePixelRatio || 1;
+    }, [finalImage, hasFooter, isBeautified, annotations, crop, selectedId, draft, dragPreview, isDrawing, currentPos]);
 
-            // Calculate total height and overlaps
-            let totalHeight = images[0].height;
-            const overlaps = [0];
-
-            for (let i = 1; i < images.length; i++) {
-                const prevSliceY_px = (slices[i - 1]?.y || 0) * dpr;
-                const currSliceY_px = (slices[i]?.y || 0) * dpr;
-
-                const prevImageBottom_px = prevSliceY_px + images[i - 1].height;
-                const calculatedOverlap = prevImageBottom_px - currSliceY_px;
+    // Release the decoded slices when the layout is replaced or the editor closes
+    useEffect(() => {
+        if (!finalImage) return;
+        return () => closeLayout(finalImage);
+    }, [finalImage]);
 
-                // Clamp overlap
-                const actualOverlap = Math.max(0, calculatedOverlap);
-                overlaps.push(actualOverlap);
+    const scene = finalImage ? getSceneSize() : null;
+    const bands = scene ? splitBands(scene.height) : [];
+    bandRefs.current.length = bands.length;
 
-                totalHeight += (images[i].height - actualOverlap);
+    // Render bands as they scroll into view; free the ones that scroll out
+    useEffect(() => {
+        if (!finalImage) return;
+        const visible = visibleBandsRef.current;
+        const observer = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                const index = Number(entry.target.dataset.band);
+                if (entry.isIntersecting) {
+                    visible.add(index);
+                    renderBandRef.current(index);
+                } else {
+                    visible.delete(index);
+                    entry.target.width = 0;
+                    entry.target.height = 0;
+                }
             }
+        }, { rootMargin: '50% 0px' });
 
-            // Create offscreen canvas
-            const offCanvas = document.createElement('canvas');
-            offCanvas.width = width;
-            offCanvas.height = totalHeight;
-            const ctx = offCanvas.getContext('2d', { willReadFrequently: true });
-
-            let currentY = 0;
-
-            // Draw first image
-            ctx.drawImage(images[0], 0, 0);
-            currentY += images[0].height;
-
-            // Draw subsequent images
-            for (let i = 1; i < images.length; i++) {
-                const img = images[i];
-                const overlap = overlaps[i];
-                const sourceH = img.height - overlap;
-
-                // Draw non-overlapping part
-                ctx.drawImage(
-                    img,
-                    0, overlap, width, sourceH,
-                    0, currentY, width, sourceH
-                );
-
-                currentY += sourceH;
-            }
+        bandRefs.current.forEach(canvas => canvas && observer.observe(canvas));
+        return () => {
+            observer.disconnect();
+            visible.clear();
+        };
+    }, [finalImage, bands.length]);
 
-            const stitched = new Image();
-            stitched.src = offCanvas.toDataURL();
-            stitched.onload = () => {
+    async function stitchImages() {
+        try {
+            setStitching(true);
+            const dpr = metadata?.devicePixelRatio || 1;
+            const stitched = await stitchLayout(slices, dpr);
+            if (stitched) {
+                setTextRuns(buildTextLayer(slices, stitched, dpr));
+                setLinkAreas(buildLinkLayer(slices, stitched, dpr));
                 setFinalImage(stitched);
-                setStitching(false);
-            };
-            stitched.onerror = (e) => {
-                console.error("Stitched image load failed", e);
-                setStitching(false);
-            };
-
+                if (applyAutoRedactions) {
+                    autoRedact(buildSensitiveLayer(slices, stitched, dpr));
+                    if (onAutoRedactionsApplied) onAutoRedactionsApplied();
+                }
+            }
         } catch (err) {
             console.error("Stitching process failed:", err);
+        } finally {
             setStitching(false);
         }
     }
 
-    // Ref to hold the mutable edited state
-    /* Moved to top */
+    /**
+     * Covers the sensitive areas tagged during capture with redactions flagged
+     * `auto`, as one undoable edit. They are outlined in the editor (not in
+     * exports) so the user can review them and delete the false positives.
+     * @param {Array<Object>} areas - Sensitive areas in image coordinates
+     */
+    function autoRedact(areas) {
+        if (areas.length === 0) return;
+        const redactions = createAutoRedactions(areas);
+        commit([...annotations, ...redactions], crop);
+        window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+            detail: { message: `Redacted ${redactions.length} sensitive area${redactions.length === 1 ? '' : 's'}. Review before exporting.` }
+        }));
+    }
 
-    useEffect(() => {
-        if (finalImage) {
-            // Reset or Init edit buffer
-            // We do this if it's the first load. 
-            // If we already have history, we might want to keep it? 
-            // No, new finalImage = new base.
-
-            if (!editCanvasRef.current || history.length === 0) {
-                const c = document.createElement('canvas');
-                c.width = finalImage.width;
-                c.height = finalImage.height;
-                const ctx = c.getContext('2d', { willReadFrequently: true });
-                ctx.drawImage(finalImage, 0, 0);
-                editCanvasRef.current = c;
-
-                // Init History
-                const data = ctx.getImageData(0, 0, c.width, c.height);
-                setHistory([data]);
-                setHistoryIndex(0);
-            }
-        }
-    }, [finalImage]);
+    /** Document as the scene renderer sees it (see scene.js) */
+    function getDocument(preview = null) {
+        return {
+            annotations: preview ? annotations.map(a => a.id === preview.id ? preview : a) : annotations,
+            crop,
+            isBeautified,
+            hasFooter,
+            metadata,
+            settings
+        };
+    }
 
-    function renderCanvas() {
-        const canvas = canvasRef.current;
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
-        // Source is the Edited Buffer if exists, else Raw Stitched
-        const source = editCanvasRef.current || finalImage;
-        if (!source) return;
-
-        let w = source.width;
-        let h = source.height;
-        let padding = isBeautified ? 60 : 0;
-        let footerH = hasFooter ? 40 : 0;
-
-        // Resize canvas
-        canvas.width = w + (padding * 2);
-        canvas.height = h + (padding * 2) + footerH;
-
-        // Background
-        if (isBeautified) {
-            // Modern dark gradient background
-            const grad = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-            grad.addColorStop(0, '#1a1a2e');
-            grad.addColorStop(0.5, '#16213e');
-            grad.addColorStop(1, '#0f3460');
-            ctx.fillStyle = grad;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-            // Rounded corner clipping for the image
-            const cornerRadius = 12;
-            ctx.save();
-            ctx.beginPath();
-            ctx.roundRect(padding, padding, w, h, cornerRadius);
-            ctx.clip();
-
-            // Draw image first (inside clip)
-            ctx.drawImage(source, padding, padding);
-            ctx.restore();
-
-            // Draw border around image
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-            ctx.lineWidth = 1;
-            ctx.beginPath();
-            ctx.roundRect(padding, padding, w, h, cornerRadius);
-            ctx.stroke();
-
-            // Subtle glow effect
-            ctx.shadowColor = 'rgba(79, 172, 254, 0.3)';
-            ctx.shadowBlur = 40;
-            ctx.shadowOffsetX = 0;
-            ctx.shadowOffsetY = 0;
-        } else {
-            ctx.fillStyle = '#1e1e1e00';
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.shadowColor = 'transparent';
-            // Draw Main Image (non-beautified)
-            ctx.drawImage(source, padding, padding);
-        }
+    /** Visible part of the base image, in image coordinates */
+    function getView() {
+        return getSceneView(finalImage, getDocument());
+    }
 
-        // Draw Main Image (only if not already drawn in beautify block)
-        if (!isBeautified) {
-            // Already drawn above
-        }
+    /** Beautify padding around the image (0 when beautify is off) */
+    function getPadding() {
+        return getScenePadding(getDocument());
+    }
 
-        // Draw Footer
-        if (hasFooter) {
-            ctx.shadowColor = 'transparent';
-            const footerY = padding + h;
-            ctx.fillStyle = '#000000';
-            ctx.fillRect(padding, footerY, w, footerH);
+    /** Size of the composed output (image, padding and footer), in device px */
+    function getSceneSize() {
+        return getDocumentSceneSize(finalImage, getDocument());
+    }
 
-            ctx.fillStyle = '#ffffff';
-            ctx.font = '14px sans-serif';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            const dateStr = metadata?.capturedAt
-                ? new Date(metadata.capturedAt).toLocaleDateString() + ' ' + new Date(metadata.capturedAt).toLocaleTimeString()
-                : new Date().toLocaleDateString();
+    /**
+     * Draws one display band: the scene plus the editing UI (auto-redaction
+     * outlines, in-progress drawing, selection handles, rubber band).
+     * The context must be translated so that scene row `band.y` lands on its first row.
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} size - Scene size from getSceneSize
+     * @param {Object} band - Rows being drawn {y, h}
+     */
+    function drawEditorScene(ctx, size, band) {
+        drawScene(ctx, finalImage, getDocument(dragPreview), size, band, {
+            image: (imageCtx) => {
+                drawAutoRedactOutlines(imageCtx);
+                if (draft) drawAnnotation(imageCtx, draft, finalImage);
+                if (selectedId) {
+                    const selected = dragPreview || annotations.find(a => a.id === selectedId);
+                    if (selected) drawSelection(imageCtx, selected);
+                }
+            },
+            scene: (sceneCtx) => {
+                // Selection overlay (only for box-based tools)
+                if (!(isDrawing && startPos && currentPos && BOX_SELECT_TOOLS.includes(activeTool))) return;
+                sceneCtx.strokeStyle = 'rgba(255, 230, 0, 0.8)';
+                sceneCtx.lineWidth = 2;
+                sceneCtx.fillStyle = 'rgba(255, 230, 0, 0.2)';
+
+                const b = getRectBounds(startPos, currentPos);
+                sceneCtx.fillRect(b.x, b.y, b.w, b.h);
+                sceneCtx.strokeRect(b.x, b.y, b.w, b.h);
+            }
+        });
+    }
 
-            const source = metadata?.url ? new URL(metadata.url).hostname : 'DeepScroll Capture';
+    /** Marks automatic redactions so they can be told apart from the user's own */
+    function drawAutoRedactOutlines(ctx) {
+        const scale = getDisplayScale();
+        ctx.save();
+        ctx.strokeStyle = CONSTANTS.AUTO_REDACT_OUTLINE;
+        ctx.lineWidth = 1.5 * scale;
+        ctx.setLineDash([4 * scale, 3 * scale]);
+        for (const a of annotations) {
+            if (!a.auto) continue;
+            const b = getAnnotationBounds(dragPreview && dragPreview.id === a.id ? dragPreview : a);
+            ctx.strokeRect(b.x, b.y, b.w, b.h);
+        }
+        ctx.restore();
+    }
 
-            ctx.fillText(`${source} • ${dateStr}`, canvas.width / 2, footerY + (footerH / 2));
+    /** Dashed outline and resize handles for the selected annotation */
+    function drawSelection(ctx, annotation) {
+        const scale = getDisplayScale();
+        const b = getAnnotationBounds(annotation);
+        const pad = 4 * scale;
+
+        ctx.strokeStyle = CONSTANTS.SELECTION_COLOR;
+        ctx.lineWidth = 1.5 * scale;
+        ctx.setLineDash([6 * scale, 4 * scale]);
+        ctx.strokeRect(b.x - pad, b.y - pad, b.w + pad * 2, b.h + pad * 2);
+        ctx.setLineDash([]);
+
+        // Handles keep the same on-screen size however far the canvas is scaled down
+        const size = CONSTANTS.HANDLE_SIZE * scale;
+        ctx.fillStyle = '#ffffff';
+        for (const handle of getAnnotationHandles(annotation)) {
+            ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+            ctx.strokeRect(handle.x - size / 2, handle.y - size / 2, size, size);
         }
+    }
 
-        // Draw Selection Overlay (Only for box-based tools)
-        if (isDrawing && startPos && currentPos && ['crop', 'blur', 'redact'].includes(activeTool)) {
-            ctx.shadowColor = 'transparent';
-            ctx.strokeStyle = 'rgba(255, 230, 0, 0.8)';
-            ctx.lineWidth = 2;
-            ctx.fillStyle = 'rgba(255, 230, 0, 0.2)';
+    /** Renders one display band, if its canvas is mounted */
+    function renderBand(index) {
+        const canvas = bandRefs.current[index];
+        const band = bands[index];
+        if (!canvas || !band || !finalImage) return;
+
+        // Resizing also clears the canvas
+        canvas.width = scene.width;
+        canvas.height = band.h;
+        const ctx = canvas.getContext('2d');
+        ctx.translate(0, -band.y);
+        drawEditorScene(ctx, scene, band);
+    }
+    renderBandRef.current = renderBand;
+
+    function renderCanvas() {
+        for (const index of visibleBandsRef.current) renderBand(index);
+    }
 
-            const x = Math.min(startPos.x, currentPos.x);
-            const y = Math.min(startPos.y, currentPos.y);
-            const rw = Math.abs(currentPos.x - startPos.x);
-            const rh = Math.abs(currentPos.y - startPos.y);
+    /**
+     * Renders rows of the flattened output, without any editing UI.
+     * @param {number} y - First output row
+     * @param {number} rows - Number of rows
+     * @param {number} [scale] - Output scale relative to the full-size scene
+     * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas holding just those rows
+     */
+    function renderSceneRows(y, rows, scale = 1) {
+        return renderDocumentRows(finalImage, getDocument(), y, rows, scale);
+    }
 
-            ctx.fillRect(x, y, rw, rh);
-            ctx.strokeRect(x, y, rw, rh);
-        }
+    /** Pixels of rows of the flattened output (for the streaming encoders) */
+    function readSceneRows(y, rows) {
+        return readDocumentRows(finalImage, getDocument(), y, rows);
+    }
 
-        // Draw Rect Preview (Ghost)
-        if (isDrawing && startPos && currentPos && activeTool === 'rect') {
-            ctx.shadowColor = 'transparent';
-            ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR;
-            ctx.lineWidth = CONSTANTS.RECT_LINE_WIDTH;
+    /**
+     * Output dimensions and encoder input for raster export options.
+     * @param {Object} options - {format, quality, resize}
+     * @returns {Object} Arguments for encodeImage/estimateImageSize
+     */
+    function getImageJob(options) {
+        const size = getSceneSize();
+        const output = getOutputSize(size.width, size.height, options.resize);
+        return {
+            format: options.format,
+            quality: options.quality,
+            width: output.width,
+            height: output.height,
+            renderRows: (y, rows) => renderSceneRows(y, rows, output.scale)
+        };
+    }
 
-            const x = Math.min(startPos.x, currentPos.x);
-            const y = Math.min(startPos.y, currentPos.y);
-            const rw = Math.abs(currentPos.x - startPos.x);
-            const rh = Math.abs(currentPos.y - startPos.y);
+    /**
+     * Answers the export dialog's size estimate requests.
+     * @param {Object} options - Export options from the dialog
+     * @returns {Promise<Object>} {width, height, bytes, error}
+     */
+    async function estimateExport(options) {
+        const job = getImageJob(options);
+        const error = getEncodeError(job.format, job.width, job.height);
+        const bytes = error ? null : await estimateImageSize(job);
+        return { width: job.width, height: job.height, bytes, error };
+    }
 
-            ctx.strokeRect(x, y, rw, rh);
+    async function copyImage() {
+        if (!finalImage) return;
+        const size = getSceneSize();
+        try {
+            // Hand over the pending blob so the write keeps the click's user activation
+            const item = new ClipboardItem({ 'image/png': encodePng(size.width, size.height, readSceneRows) });
+            await navigator.clipboard.write([item]);
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'Image copied to clipboard!' }
+            }));
+        } catch (err) {
+            console.error("Clipboard failed", err);
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'Failed to copy image', type: 'error' }
+            }));
         }
+    }
 
+    /**
+     * Encodes the flattened output as PNG, JPEG or WebP and downloads it.
+     * @param {Object} [options] - {format, quality, resize}
+     */
+    async function exportImage(options = {}) {
+        if (!finalImage) return;
+        const format = options.format || 'png';
+        try {
+            const blob = await encodeImage(getImageJob({ ...options, format }));
+            downloadBlob(blob, IMAGE_FORMATS[format].extension);
+        } catch (err) {
+            console.error("Export failed:", err);
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'Export failed', type: 'error' }
+            }));
+        }
+    }
 
-        // Draw Arrow Preview (Ghost)
-        if (isDrawing && startPos && currentPos && activeTool === 'arrow') {
-            const head = startPos; // Head fixed at Start
-            const tail = currentPos; // Tail follows Drag
-
-            const dx = head.x - tail.x;
-            const dy = head.y - tail.y;
-            const len = Math.sqrt(dx * dx + dy * dy);
-
-            if (len < 10) return; // Prevent glitchy tiny arrows
-
-            const angle = Math.atan2(dy, dx);
-            const headlen = CONSTANTS.ARROW_HEAD_SIZE;
-
-            ctx.shadowColor = 'transparent';
-            ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR;
-            ctx.fillStyle = CONSTANTS.ANNOTATION_COLOR;
-            ctx.lineWidth = CONSTANTS.LINE_WIDTH;
-            ctx.lineCap = 'round';
-            ctx.lineJoin = 'round';
-
-            // Shaft
-            ctx.beginPath();
-            ctx.moveTo(tail.x, tail.y);
-            ctx.lineTo(head.x, head.y);
-            ctx.stroke();
-
-            // Head
-            ctx.beginPath();
-            ctx.moveTo(head.x, head.y);
-            ctx.lineTo(head.x - headlen * Math.cos(angle - Math.PI / 6), head.y - headlen * Math.sin(angle - Math.PI / 6));
-            ctx.lineTo(head.x - headlen * Math.cos(angle + Math.PI / 6), head.y - headlen * Math.sin(angle + Math.PI / 6));
-            ctx.lineTo(head.x, head.y);
-            ctx.fill();
-            ctx.stroke();
+    /**
+     * Paginates the flattened output into a PDF and downloads it.
+     * @param {Object} [options] - Page options for createPdf (pageSize, margin, smartBreaks)
+     */
+    async function exportPdf(options = {}) {
+        if (!finalImage) return;
+        try {
+            const size = getSceneSize();
+            const pdf = await createPdf({
+                pageSize: options.pageSize,
+                margin: options.margin,
+                smartBreaks: options.smartBreaks,
+                width: size.width,
+                height: size.height,
+                renderRows: renderSceneRows,
+                textRuns: getSceneTextRuns(),
+                links: getSceneLinks(),
+                metadata
+            });
+            downloadBlob(pdf, 'pdf');
+        } catch (err) {
+            console.error("PDF export failed:", err);
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'PDF export failed', type: 'error' }
+            }));
         }
     }
 
-    function exportImage(toClipboard) {
-        if (!canvasRef.current) return;
-
-        if (toClipboard) {
-            canvasRef.current.toBlob(async (blob) => {
-                try {
-                    const item = new ClipboardItem({ 'image/png': blob });
-                    await navigator.clipboard.write([item]);
-                    window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
-                        detail: { message: 'Image copied to clipboard!' }
-                    }));
-                } catch (err) {
-                    console.error("Clipboard failed", err);
-                    window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
-                        detail: { message: 'Failed to copy image', type: 'error' }
-                    }));
-                }
-            }, 'image/png');
-        } else {
-            const url = canvasRef.current.toDataURL('image/png');
-            chrome.downloads.download({
-                url: url,
-                filename: `deepscroll-${Date.now()}.png`,
-                saveAs: true
-            }, (downloadId) => {
-                if (chrome.runtime.lastError) {
-                    console.error("Download failed:", chrome.runtime.lastError);
-                    window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
-                        detail: { message: 'Download failed', type: 'error' }
-                    }));
-                }
+    /**
+     * Full-size PNG wrapped in an HTML page whose image map keeps the links clickable.
+     */
+    async function exportHtml() {
+        if (!finalImage) return;
+        try {
+            const size = getSceneSize();
+            const image = await encodePng(size.width, size.height, readSceneRows);
+            const html = await createImageMapHtml({
+                image,
+                width: size.width,
+                height: size.height,
+                links: getSceneLinks(),
+                dpr: metadata?.devicePixelRatio || 1,
+                metadata
             });
+            downloadBlob(html, 'html');
+        } catch (err) {
+            console.error("HTML export failed:", err);
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'HTML export failed', type: 'error' }
+            }));
         }
     }
 
-    function loadImage(src) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = reject;
-            img.src = src;
-        });
+    /** Text runs inside the current view and not redacted or blurred, in output (scene) coordinates */
+    function getSceneTextRuns() {
+        return toScene(excludeCovered(findTextInRect(textRuns, getView()), annotations));
     }
 
-    // Interaction State
-    /* Moved to top */
+    /** Links clipped to the current view, minus redacted or blurred ones, in output (scene) coordinates */
+    function getSceneLinks() {
+        return toScene(clipToRect(excludeCovered(linkAreas, annotations), getView()));
+    }
+
+    /** Image coordinates -> scene coordinates (view offset, beautify padding) */
+    function toScene(items) {
+        const view = getView();
+        const padding = getPadding();
+        return items.map(item => ({
+            ...item,
+            x: item.x - view.x + padding,
+            y: item.y - view.y + padding
+        }));
+    }
+
+    function downloadBlob(blob, extension) {
+        const url = URL.createObjectURL(blob);
+        chrome.downloads.download({
+            url: url,
+            filename: getDownloadPath(settings, {
+                extension,
+                url: metadata?.url,
+                title: metadata?.title,
+                capturedAt: metadata?.capturedAt
+            }),
+            saveAs: !settings.autoSave
+        }, (downloadId) => {
+            if (chrome.runtime.lastError) {
+                console.error("Download failed:", chrome.runtime.lastError);
+                window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                    detail: { message: 'Download failed', type: 'error' }
+                }));
+            }
+            URL.revokeObjectURL(url);
+        });
+    }
 
     // Mouse Handlers
     const getMousePos = (e) => {
-        const rect = canvasRef.current.getBoundingClientRect();
-        const scaleX = canvasRef.current.width / rect.width;
-        const scaleY = canvasRef.current.height / rect.height;
+        const rect = containerRef.current.getBoundingClientRect();
+        const scale = getDisplayScale();
         return {
-            x: (e.clientX - rect.left) * scaleX,
-            y: (e.clientY - rect.top) * scaleY
+            x: (e.clientX - rect.left) * scale,
+            y: (e.clientY - rect.top) * scale
         };
     };
 
+    /** Output pixels per screen pixel (the output is scaled down to fit the page) */
+    function getDisplayScale() {
+        const container = containerRef.current;
+        if (!container || !finalImage) return 1;
+        const width = container.getBoundingClientRect().width;
+        return width ? getSceneSize().width / width : 1;
+    }
+
+    /** Converts a canvas position to image coordinates (undoing padding and crop) */
+    function toImageCoords(pos) {
+        const p = getInternalCoords(pos, getPadding());
+        const view = getView();
+        return { x: p.x + view.x, y: p.y + view.y };
+    }
+
+    /** Topmost annotation under a point (image coordinates) */
+    function findAnnotationAt(p) {
+        const tolerance = 4 * getDisplayScale();
+        for (let i = annotations.length - 1; i >= 0; i--) {
+            if (hitTestAnnotation(annotations[i], p, tolerance)) return annotations[i];
+        }
+        return null;
+    }
+
+    /** Resize handle of the selected annotation under a point (image coordinates) */
+    function findHandleAt(p) {
+        const selected = annotations.find(a => a.id === selectedId);
+        if (!selected) return null;
+        const reach = CONSTANTS.HANDLE_SIZE * getDisplayScale();
+        return getAnnotationHandles(selected)
+            .find(h => Math.abs(h.x - p.x) <= reach && Math.abs(h.y - p.y) <= reach) || null;
+    }
+
     const handleMouseDown = (e) => {
-        const TOOLS = ['blur', 'redact', 'draw', 'arrow', 'rect', 'text', 'crop'];
-        if (!TOOLS.includes(activeTool)) return;
+        if (!finalImage) return;
+        const pos = getMousePos(e);
+
+        if (activeTool === 'select') {
+            startSelectDrag(toImageCoords(pos));
+            return;
+        }
 
-        // Prevent default drag behavior if we are drawing
-        // But draggable={false} on container handles most.
+        const TOOLS = ['blur', 'redact', 'draw', 'arrow', 'rect', 'text', 'crop', 'copytext'];
+        if (!TOOLS.includes(activeTool)) return;
 
         setIsDrawing(true);
-        const pos = getMousePos(e);
         setStartPos(pos);
         setCurrentPos(pos);
 
         // Pen Start
         if (activeTool === 'draw') {
-            // We need to commit the initial dot?
-            const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-            // Map to internal coords
-            const padding = isBeautified ? 60 : 0;
-            const ix = pos.x - padding;
-            const iy = pos.y - padding;
-
-            ctx.beginPath();
-            ctx.moveTo(ix, iy);
-            // Store path start?
+            setDraft(createAnnotation('pen', { points: [toImageCoords(pos)], color: activeColor, lineWidth: settings.lineWidth }));
         }
     };
 
     const handleMouseMove = (e) => {
+        const drag = dragRef.current;
+        if (drag) {
+            const p = toImageCoords(getMousePos(e));
+            setDragPreview(drag.mode === 'resize'
+                ? resizeAnnotation(drag.original, drag.handle, p)
+                : moveAnnotation(drag.original, p.x - drag.start.x, p.y - drag.start.y));
+            return;
+        }
+
         if (!isDrawing) return;
         const newPos = getMousePos(e);
+        setCurrentPos(newPos);
 
+        // Live previews
         if (activeTool === 'draw') {
-            // Continuous Paint
-            drawPenStroke(currentPos, newPos);
-            setCurrentPos(newPos); // Update for next segment
-        } else {
-            // Dragging shape
-            setCurrentPos(newPos);
+            setDraft(prev => prev && { ...prev, points: [...prev.points, toImageCoords(newPos)] });
+        } else if (activeTool === 'arrow') {
+            // Head fixed at Start, Tail follows Drag
+            setDraft(createAnnotation('arrow', { head: toImageCoords(startPos), tail: toImageCoords(newPos), color: activeColor, lineWidth: settings.lineWidth }));
+        } else if (activeTool === 'rect') {
+            setDraft(createAnnotation('rect', { ...getRectBounds(toImageCoords(startPos), toImageCoords(newPos)), color: activeColor, lineWidth: settings.rectLineWidth }));
         }
     };
 
     const handleMouseUp = () => {
+        if (dragRef.current) {
+            finishSelectDrag();
+            return;
+        }
+
         if (!isDrawing) return;
         setIsDrawing(false);
 
         // Commit Shapes
-        let edited = false;
-        if (activeTool === 'blur') { applyBlur(startPos, currentPos); edited = true; }
-        if (activeTool === 'redact') { applyRedact(startPos, currentPos); edited = true; }
-        if (activeTool === 'arrow') { applyArrow(startPos, currentPos); edited = true; }
-        if (activeTool === 'rect') { applyRect(startPos, currentPos); edited = true; }
-        if (activeTool === 'text') { applyText(currentPos); }
-        if (activeTool === 'crop') { applyCrop(startPos, currentPos); edited = true; }
-        if (activeTool === 'draw') edited = true;
-
-        if (edited) saveState();
-
+        if (activeTool === 'blur') applyBox('blur', startPos, currentPos);
+        if (activeTool === 'redact') applyBox('redact', startPos, currentPos);
+        if (activeTool === 'arrow') applyArrow(startPos, currentPos);
+        if (activeTool === 'rect') applyBox('rect', startPos, currentPos);
+        if (activeTool === 'text') applyText(currentPos);
+        if (activeTool === 'crop') applyCrop(startPos, currentPos);
+        if (activeTool === 'copytext') copyTextFromRegion(startPos, currentPos);
+        if (activeTool === 'draw' && draft) commit([...annotations, draft], crop);
+
+        setDraft(null);
         setStartPos(null);
         setCurrentPos(null);
     };
 
-    // --- Tool Helpers ---
+    // Double-click a text annotation to edit it
+    const handleDoubleClick = (e) => {
+        if (activeTool !== 'select' || !finalImage) return;
+        const hit = findAnnotationAt(toImageCoords(getMousePos(e)));
+        if (!hit || hit.type !== 'text') return;
 
-    function getInternalCoords(pos) {
-        if (!pos) return { x: 0, y: 0 };
-        const padding = isBeautified ? 60 : 0;
-        return {
-            x: pos.x - padding,
-            y: pos.y - padding
-        };
-    }
+        setTimeout(() => {
+            const text = prompt("Edit text annotation:", hit.text);
+            if (!text || text === hit.text) return;
+            commit(annotations.map(a => a.id === hit.id ? { ...a, text } : a), crop);
+        }, 10);
+    };
 
-    function applyCrop(start, end) {
-        if (!editCanvasRef.current) return;
+    // --- Select Tool ---
 
-        const p1 = getInternalCoords(start);
-        const p2 = getInternalCoords(end);
+    function startSelectDrag(p) {
+        const handle = findHandleAt(p);
+        if (handle) {
+            const original = annotations.find(a => a.id === selectedId);
+            dragRef.current = { mode: 'resize', handle: handle.id, original, start: p };
+            return;
+        }
 
-        const x = Math.min(p1.x, p2.x);
-        const y = Math.min(p1.y, p2.y);
-        const w = Math.abs(p2.x - p1.x);
-        const h = Math.abs(p2.y - p1.y);
+        const hit = findAnnotationAt(p);
+        setSelectedId(hit ? hit.id : null);
+        if (hit) {
+            dragRef.current = { mode: 'move', original: hit, start: p };
+        }
+    }
 
-        if (w < 10 || h < 10) return;
+    function finishSelectDrag() {
+        const preview = dragPreview;
+        dragRef.current = null;
+        setDragPreview(null);
+        if (!preview) return; // Plain click only selects
+        commit(annotations.map(a => a.id === preview.id ? preview : a), crop);
+    }
 
-        // Create new canvas
-        const newC = document.createElement('canvas');
-        newC.width = w;
-        newC.height = h;
-        const nCtx = newC.getContext('2d', { willReadFrequently: true });
+    // --- Tool Helpers ---
 
-        nCtx.drawImage(editCanvasRef.current, x, y, w, h, 0, 0, w, h);
+    function applyCrop(start, end) {
+        const b = getRectBounds(toImageCoords(start), toImageCoords(end));
 
-        // Update Ref
-        editCanvasRef.current = newC;
+        // Keep the crop inside the current view
+        const view = getView();
+        const x = Math.max(view.x, Math.round(b.x));
+        const y = Math.max(view.y, Math.round(b.y));
+        const w = Math.min(view.x + view.w, Math.round(b.x + b.w)) - x;
+        const h = Math.min(view.y + view.h, Math.round(b.y + b.h)) - y;
+        if (w < CONSTANTS.MIN_CROP_SIZE || h < CONSTANTS.MIN_CROP_SIZE) return;
 
-        // Render
-        renderCanvas();
+        commit(annotations, { x, y, w, h });
     }
 
-    function drawPenStroke(prev, curr) {
-        if (!editCanvasRef.current) return;
-        const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-        const p1 = getInternalCoords(prev);
-        const p2 = getInternalCoords(curr);
-
-        ctx.lineJoin = 'round';
-        ctx.lineCap = 'round';
-        ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR; // Red pen default
-        ctx.lineWidth = CONSTANTS.LINE_WIDTH;
-
-        ctx.beginPath();
-        ctx.moveTo(p1.x, p1.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.stroke();
+    async function copyTextFromRegion(start, end) {
+        // Redacted or blurred text stays hidden
+        const runs = excludeCovered(findTextInRect(textRuns, getRectBounds(toImageCoords(start), toImageCoords(end))), annotations);
+        if (runs.length === 0) {
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'No text found in selection', type: 'error' }
+            }));
+            return;
+        }
 
-        renderCanvas();
+        try {
+            await navigator.clipboard.writeText(textFromRuns(runs));
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'Text copied to clipboard!' }
+            }));
+        } catch (err) {
+            console.error("Clipboard failed", err);
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'Failed to copy text', type: 'error' }
+            }));
+        }
     }
 
     function applyArrow(start, end) {
-        if (!editCanvasRef.current) return;
-        const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-
-        // Logic: Head at Start (p1), Tail at End (p2)
-        const head = getInternalCoords(start);
-        const tail = getInternalCoords(end);
-
-        const dx = head.x - tail.x;
-        const dy = head.y - tail.y;
-        const len = Math.sqrt(dx * dx + dy * dy);
-
-        if (len < 10) return;
-
-        const angle = Math.atan2(dy, dx);
-        const headlen = CONSTANTS.ARROW_HEAD_SIZE;
-
-        ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR;
-        ctx.fillStyle = CONSTANTS.ANNOTATION_COLOR;
-        ctx.lineWidth = CONSTANTS.LINE_WIDTH;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        // Shaft
-        ctx.beginPath();
-        ctx.moveTo(tail.x, tail.y);
-        ctx.lineTo(head.x, head.y);
-        ctx.stroke();
-
-        // Head
-        ctx.beginPath();
-        ctx.moveTo(head.x, head.y);
-        ctx.lineTo(head.x - headlen * Math.cos(angle - Math.PI / 6), head.y - headlen * Math.sin(angle - Math.PI / 6));
-        ctx.lineTo(head.x - headlen * Math.cos(angle + Math.PI / 6), head.y - headlen * Math.sin(angle + Math.PI / 6));
-        ctx.lineTo(head.x, head.y);
-        ctx.fill();
-        ctx.stroke();
-
-        renderCanvas();
+        const head = toImageCoords(start);
+        const tail = toImageCoords(end);
+        if (Math.hypot(head.x - tail.x, head.y - tail.y) < CONSTANTS.MIN_ARROW_LENGTH) return;
+        commit([...annotations, createAnnotation('arrow', { head, tail, color: activeColor, lineWidth: settings.lineWidth })], crop);
     }
 
-    function applyRect(start, end) {
-        if (!editCanvasRef.current) return;
-        const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-        const p1 = getInternalCoords(start);
-        const p2 = getInternalCoords(end);
-
-        const x = Math.min(p1.x, p2.x);
-        const y = Math.min(p1.y, p2.y);
-        const w = Math.abs(p2.x - p1.x);
-        const h = Math.abs(p2.y - p1.y);
-
-        ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR;
-        ctx.lineWidth = CONSTANTS.RECT_LINE_WIDTH;
-        ctx.strokeRect(x, y, w, h);
-        renderCanvas();
+    function applyBox(type, start, end) {
+        const b = getRectBounds(toImageCoords(start), toImageCoords(end));
+        if (b.w < CONSTANTS.MIN_SELECTION_SIZE || b.h < CONSTANTS.MIN_SELECTION_SIZE) return;
+        // Redactions stay solid black unless recolored; blur has no color
+        const color = type === 'redact' ? CONSTANTS.REDACT_COLOR : type === 'rect' ? activeColor : undefined;
+        const lineWidth = type === 'rect' ? settings.rectLineWidth : undefined;
+        commit([...annotations, createAnnotation(type, { ...b, color, lineWidth })], crop);
     }
 
     function applyText(pos) {
@@ -631,116 +821,65 @@ export default function Canvas({ slices, metadata, onStitchComplete, activeTool,
         setTimeout(() => {
             const text = prompt("Enter text annotation:");
             if (!text) return;
-
-            if (!editCanvasRef.current) return;
-            const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-            const p = getInternalCoords(pos);
-
-            ctx.font = 'bold 24px sans-serif';
-            ctx.fillStyle = CONSTANTS.ANNOTATION_COLOR;
-            ctx.fillText(text, p.x, p.y);
-
-            renderCanvas();
-            saveState();
+            const p = toImageCoords(pos);
+            commit([...annotations, createAnnotation('text', { ...p, text, fontSize: settings.fontSize, color: activeColor })], crop);
         }, 10);
     }
 
-    function applyRedact(start, end) {
-        if (!editCanvasRef.current) return;
-
-        const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-        const p1 = getInternalCoords(start);
-        const p2 = getInternalCoords(end);
-
-        const x = Math.min(p1.x, p2.x);
-        const y = Math.min(p1.y, p2.y);
-        const w = Math.abs(p2.x - p1.x);
-        const h = Math.abs(p2.y - p1.y);
-
-        if (w < 2 || h < 2) return;
-
-        ctx.fillStyle = '#000000';
-        ctx.fillRect(x, y, w, h);
-
-        renderCanvas();
-    }
-
-    function applyBlur(start, end) {
-        const ctx = canvasRef.current.getContext('2d', { willReadFrequently: true });
-        const x = Math.min(start.x, end.x);
-        const y = Math.min(start.y, end.y);
-        const w = Math.abs(end.x - start.x);
-        const h = Math.abs(end.y - start.y);
-
-        if (w < 2 || h < 2) return; // Too small
-
-        // Pixelate
-        // 1. Get Data
-        const factor = 0.1; // Downscale 10x
-        const sw = Math.floor(w * factor) || 1;
-        const sh = Math.floor(h * factor) || 1;
-
-        const offCanvas = document.createElement('canvas');
-        offCanvas.width = sw;
-        offCanvas.height = sh;
-        const offCtx = offCanvas.getContext('2d', { willReadFrequently: true });
-
-        offCtx.imageSmoothingEnabled = false;
-        offCtx.drawImage(canvasRef.current, x, y, w, h, 0, 0, sw, sh);
-
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(offCanvas, 0, 0, sw, sh, x, y, w, h);
-        ctx.imageSmoothingEnabled = true;
-
-        // Persist blur to edit buffer
-        updateEditedImage(x, y, w, h);
-    }
-
-    function updateEditedImage(x, y, w, h) {
-        if (!editCanvasRef.current) return;
-        const ctx = editCanvasRef.current.getContext('2d', { willReadFrequently: true });
-        const padding = isBeautified ? 60 : 0;
-
-        const ix = x - padding;
-        const iy = y - padding;
-
-        const factor = 0.1;
-        const sw = Math.floor(w * factor) || 1;
-        const sh = Math.floor(h * factor) || 1;
-
-        const off = document.createElement('canvas');
-        off.width = sw;
-        off.height = sh;
-        const offCtx = off.getContext('2d', { willReadFrequently: true });
-        offCtx.imageSmoothingEnabled = false;
-        offCtx.drawImage(editCanvasRef.current, ix, iy, w, h, 0, 0, sw, sh);
-
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(off, 0, 0, sw, sh, ix, iy, w, h);
-
-        renderCanvas();
-    }
-
     // Handle Drag Start
     const handleDragStart = (e) => {
-        e.dataTransfer.setData('DownloadURL', `image/png:deepscroll.png:${canvasRef.current.toDataURL()}`);
+        if (dragRef.current) {
+            // Moving an annotation, not dragging the image out
+            e.preventDefault();
+            return;
+        }
+
+        // DownloadURL needs the image synchronously, which only works while it fits one canvas
+        const size = getSceneSize();
+        if (!fitsInCanvas(size.width, size.height)) {
+            e.preventDefault();
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_TOAST', {
+                detail: { message: 'Too large to drag out, use Save instead', type: 'error' }
+            }));
+            return;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        drawScene(canvas.getContext('2d'), finalImage, getDocument(), size, { y: 0, h: size.height });
+        e.dataTransfer.setData('DownloadURL', `image/png:deepscroll.png:${canvas.toDataURL()}`);
     };
 
     return (
         <div className="flex flex-col items-center justify-center">
-            <div
-                className="bg-transparent"
-                draggable={activeTool === 'select'}
-                onDragStart={handleDragStart}
-            >
-                <canvas
-                    ref={canvasRef}
-                    className="max-w-full h-auto block cursor-crosshair"
-                    onMouseDown={handleMouseDown}
-                    onMouseMove={handleMouseMove}
-                    onMouseUp={handleMouseUp}
-                />
-            </div>
+            {scene && (
+                <div
+                    className="bg-transparent max-w-full"
+                    draggable={activeTool === 'select' && !selectedId}
+                    onDragStart={handleDragStart}
+                >
+                    <div
+                        ref={containerRef}
+                        className={`relative ${activeTool === 'select' ? 'cursor-default' : 'cursor-crosshair'}`}
+                        style={{ width: scene.width, maxWidth: '100%' }}
+                        onMouseDown={handleMouseDown}
+                        onMouseMove={handleMouseMove}
+                        onMouseUp={handleMouseUp}
+                        onDoubleClick={handleDoubleClick}
+                    >
+                        {bands.map((band, i) => (
+                            <div key={i} className="relative" style={{ aspectRatio: `${scene.width} / ${band.h}` }}>
+                                <canvas
+                                    ref={(el) => { bandRefs.current[i] = el; }}
+                                    data-band={i}
+                                    className="absolute inset-0 w-full h-full block"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
             {stitching && <p className="text-white mt-4 animate-pulse">Stitching...</p>}
         </div>
     );
@@ -751,6 +890,7 @@ Canvas.propTypes = {
     /** Array of image slices to stitch together */
     slices: PropTypes.arrayOf(PropTypes.shape({
         dataUrl: PropTypes.string.isRequired,
+        x: PropTypes.number,
         y: PropTypes.number.isRequired,
     })).isRequired,
 
@@ -762,28 +902,55 @@ Canvas.propTypes = {
         devicePixelRatio: PropTypes.number,
     }),
 
+    /** Previously saved annotations and crop */
+    edits: PropTypes.shape({
+        annotations: PropTypes.arrayOf(PropTypes.object),
+        crop: PropTypes.shape({
+            x: PropTypes.number,
+            y: PropTypes.number,
+            w: PropTypes.number,
+            h: PropTypes.number,
+        }),
+    }),
+
+    /** Pre-apply redactions over the sensitive areas found during capture */
+    applyAutoRedactions: PropTypes.bool,
+
+    /** Called once the auto-redactions have been added to the edits (so they can be saved) */
+    onAutoRedactionsApplied: PropTypes.func,
+
     /** Callback when image stitching is complete */
     onStitchComplete: PropTypes.func,
 
     /** Currently active drawing tool */
     activeTool: PropTypes.oneOf([
-        'select', 'blur', 'redact', 'draw', 'arrow', 'rect', 'text', 'crop'
+        'select', 'blur', 'redact', 'draw', 'arrow', 'rect', 'text', 'crop', 'copytext'
     ]).isRequired,
 
+    /** Color for new annotations */
+    activeColor: PropTypes.string,
+
     /** Whether to show the metadata footer */
     hasFooter: PropTypes.bool,
 
     /** Whether beautify mode (padding/shadow) is enabled */
     isBeautified: PropTypes.bool,
 
+    /** User settings (see utils/settings.js) */
+    settings: PropTypes.shape({
+        lineWidth: PropTypes.number,
+        rectLineWidth: PropTypes.number,
+        fontSize: PropTypes.number,
+        beautifyPreset: PropTypes.string,
+        beautifyPadding: PropTypes.number,
+        filenameTemplate: PropTypes.string,
+        downloadFolder: PropTypes.string,
+        autoSave: PropTypes.bool,
+    }),
+
     /** Callback when history state changes (for undo/redo button states) */
     onHistoryChange: PropTypes.func,
-};
 
-Canvas.defaultProps = {
-    metadata: null,
-    onStitchComplete: null,
-    hasFooter: false,
-    isBeautified: false,
-    onHistoryChange: null,
+    /** Callback when annotations or crop change (for persistence) */
+    onEditsChange: PropTypes.func,
 };
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Export options dialog for the DeepScroll editor.
+ * Lets the user pick a format (PNG, JPEG, WebP, PDF, HTML) and its options, shows a
+ * live size estimate, and hands the chosen options back for the export event.
+ * @module ExportDialog
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { X } from 'lucide-react';
+import { PAGE_SIZES } from './export/pdf.js';
+import { IMAGE_FORMATS } from './export/image.js';
+import { formatBytes } from '../utils/format';
+
+/** Formats offered in the picker (and as the default format on the options page) */
+export const FORMATS = [
+    ...Object.entries(IMAGE_FORMATS).map(([key, spec]) => ({ key, label: spec.label })),
+    { key: 'pdf', label: 'PDF' },
+    { key: 'html', label: 'HTML' },
+];
+
+const RESIZE_MODES = [
+    { key: 'full', label: '1x' },
+    { key: 'half', label: '0.5x' },
+    { key: 'maxWidth', label: 'Max width' },
+];
+
+/** Delay before re-estimating after an option changes */
+const ESTIMATE_DEBOUNCE_MS = 300;
+
+export const DEFAULT_EXPORT_OPTIONS = {
+    format: 'png',
+    quality: 0.9,
+    resize: { mode: 'full', maxWidth: 1920 },
+    pageSize: 'a4',
+    margin: 10,
+    smartBreaks: true,
+};
+
+/**
+ * Modal dialog with export format and options.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.initialOptions - Options to start from (e.g. the last export's)
+ * @param {Function} props.onExport - Called with the chosen options
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ * @returns {JSX.Element} The ExportDialog component
+ */
+export default function ExportDialog({ initialOptions = null, onExport, onClose }) {
+    const [options, setOptions] = useState({ ...DEFAULT_EXPORT_OPTIONS, ...initialOptions });
+    const [estimate, setEstimate] = useState(null);
+    const [estimating, setEstimating] = useState(false);
+
+    const update = (patch) => setOptions(prev => ({ ...prev, ...patch }));
+    const isPdf = options.format === 'pdf';
+    const isHtml = options.format === 'html';
+    const isRaster = !isPdf && !isHtml;
+    const isLossy = IMAGE_FORMATS[options.format]?.lossy;
+
+    // Ask the canvas for a fresh estimate once the options settle
+    useEffect(() => {
+        if (!isRaster) {
+            setEstimate(null);
+            return;
+        }
+
+        let cancelled = false;
+        setEstimating(true);
+        const timer = setTimeout(() => {
+            window.dispatchEvent(new CustomEvent('DEEPSCROLL_ESTIMATE', {
+                detail: {
+                    options,
+                    callback: (result) => {
+                        if (cancelled) return;
+                        setEstimate(result);
+                        setEstimating(false);
+                    }
+                }
+            }));
+        }, ESTIMATE_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [options]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onExport(options);
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-[80] bg-black/60 backdrop-blur-sm flex items-center justify-center"
+            onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+        >
+            <form
+                onSubmit={handleSubmit}
+                className="w-80 bg-neutral-900 border border-white/10 rounded-2xl shadow-2xl p-5 flex flex-col gap-4 text-sm"
+            >
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold">Export</h2>
+                    <button type="button" onClick={onClose} className="text-neutral-400 hover:text-white">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                <Field label="Format">
+                    <Segmented
+                        items={FORMATS}
+                        value={options.format}
+                        onChange={(format) => update({ format })}
+                    />
+                </Field>
+
+                {isLossy && (
+                    <Field label={`Quality: ${Math.round(options.quality * 100)}%`}>
+                        <input
+                            type="range"
+                            min={10}
+                            max={100}
+                            value={Math.round(options.quality * 100)}
+                            onChange={(e) => update({ quality: Number(e.target.value) / 100 })}
+                            className="accent-blue-500"
+                        />
+                    </Field>
+                )}
+
+                {isRaster && (
+                    <Field label="Size">
+                        <Segmented
+                            items={RESIZE_MODES}
+                            value={options.resize.mode}
+                            onChange={(mode) => update({ resize: { ...options.resize, mode } })}
+                        />
+                        {options.resize.mode === 'maxWidth' && (
+                            <input
+                                type="number"
+                                min={100}
+                                step={10}
+                                value={options.resize.maxWidth}
+                                onChange={(e) => update({ resize: { ...options.resize, maxWidth: Number(e.target.value) } })}
+                                className="mt-2 bg-white/5 border border-white/10 rounded-full px-3 py-1.5 text-xs outline-none focus:border-blue-500"
+                            />
+                        )}
+                    </Field>
+                )}
+
+                {isPdf && (
+                    <>
+                        <Field label="Page size">
+                            <Segmented
+                                items={Object.entries(PAGE_SIZES).map(([key, size]) => ({ key, label: size.label }))}
+                                value={options.pageSize}
+                                onChange={(pageSize) => update({ pageSize })}
+                            />
+                        </Field>
+
+                        <Field label={`Margins: ${options.margin} mm`}>
+                            <input
+                                type="range"
+                                min={0}
+                                max={30}
+                                value={options.margin}
+                                onChange={(e) => update({ margin: Number(e.target.value) })}
+                                className="accent-blue-500"
+                            />
+                        </Field>
+
+                        <label className="flex items-center gap-2 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={options.smartBreaks}
+                                onChange={(e) => update({ smartBreaks: e.target.checked })}
+                                className="accent-blue-500"
+                            />
+                            <span>Avoid breaking pages through text</span>
+                        </label>
+                    </>
+                )}
+
+                {isHtml && (
+                    <div className="text-xs text-neutral-400">
+                        Full-size PNG embedded in a single HTML file, with the page's links kept clickable.
+                    </div>
+                )}
+
+                {isRaster && (
+                    <div className={`text-xs ${estimate?.error ? 'text-red-300' : 'text-neutral-400'}`}>
+                        {estimate?.error
+                            ? estimate.error
+                            : estimate
+                                ? `${estimate.width} × ${estimate.height}px · about ${formatBytes(estimate.bytes)}${estimating ? '…' : ''}`
+                                : 'Estimating size…'}
+                    </div>
+                )}
+
+                <button
+                    type="submit"
+                    autoFocus
+                    disabled={isRaster && !!estimate?.error}
+                    className="mt-1 py-2 rounded-full bg-blue-600 hover:bg-blue-500 font-medium shadow-lg shadow-blue-500/20 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                    Save
+                </button>
+            </form>
+        </div>
+    );
+}
+
+ExportDialog.propTypes = {
+    /** Options to start from */
+    initialOptions: PropTypes.object,
+
+    /** Called with the chosen export options */
+    onExport: PropTypes.func.isRequired,
+
+    /** Called when the dialog is dismissed */
+    onClose: PropTypes.func.isRequired,
+};
+
+function Field({ label, children }) {
+    return (
+        <div className="flex flex-col gap-1.5">
+            <span className="text-neutral-400 text-xs">{label}</span>
+            {children}
+        </div>
+    );
+}
+
+function Segmented({ items, value, onChange }) {
+    return (
+        <div className="flex gap-1.5">
+            {items.map(item => (
+                <button
+                    key={item.key}
+                    type="button"
+                    onClick={() => onChange(item.key)}
+                    className={`flex-1 py-1.5 rounded-full text-xs font-medium transition-colors
+                        ${value === item.key ? 'bg-white text-black' : 'bg-white/5 text-neutral-300 hover:bg-white/10'}`}
+                >
+                    {item.label}
+                </button>
+            ))}
+        </div>
+    );
+}
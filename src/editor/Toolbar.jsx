@@ -1,7 +1,8 @@
 import React from 'react';
-import { Wand2, Download, Copy, Share2, Crop, Type, Eraser, Pen, MousePointer2, ArrowRight, Square, Layout, RotateCcw, RotateCw, EyeOff } from 'lucide-react';
+import { Wand2, Download, Copy, Share2, Crop, Type, Eraser, Pen, MousePointer2, ArrowRight, Square, Layout, RotateCcw, RotateCw, EyeOff, ScanText } from 'lucide-react';
 // Note: We need to install lucide-react if we haven't? 
 // Checked previous npm install command, it included 'lucide-react'.
+import { CONSTANTS } from './constants.js';
 
 export default function Toolbar({
     onToggleBeautify,
@@ -10,6 +11,8 @@ export default function Toolbar({
     onCopy,
     onToolSelect,
     activeTool,
+    activeColor,
+    onColorSelect,
     isBeautified,
     hasFooter,
     canUndo,
@@ -82,6 +85,24 @@ export default function Toolbar({
                     isActive={activeTool === 'crop'}
                     onClick={() => onToolSelect('crop')}
                 />
+                <ToolButton
+                    icon={<ScanText size={18} />}
+                    label="Copy Text"
+                    isActive={activeTool === 'copytext'}
+                    onClick={() => onToolSelect('copytext')}
+                />
+            </div>
+
+            {/* Color Group */}
+            <div className="flex items-center gap-1.5 pr-4 border-r border-white/10 pl-2">
+                {CONSTANTS.ANNOTATION_PALETTE.map(color => (
+                    <ColorSwatch
+                        key={color}
+                        color={color}
+                        isActive={activeColor === color}
+                        onClick={() => onColorSelect(color)}
+                    />
+                ))}
             </div>
 
             {/* Enhancements Group */}
@@ -151,3 +172,17 @@ function ToolButton({ icon, label, isActive, primary, disabled, onClick }) {
         </button>
     );
 }
+
+function ColorSwatch({ color, isActive, onClick }) {
+    return (
+        <button
+            onClick={onClick}
+            title={color}
+            className={`
+        w-5 h-5 rounded-full border transition-all duration-200
+        ${isActive ? 'ring-2 ring-white ring-offset-2 ring-offset-black border-transparent' : 'border-white/20 hover:scale-110'}
+      `}
+            style={{ backgroundColor: color }}
+        />
+    );
+}
@@ -4,7 +4,7 @@
  */
 
 export const CONSTANTS = {
-    /** Padding around the image when Beautify mode is enabled */
+    /** Padding around the image when Beautify mode is enabled (overridable in settings) */
     BEAUTIFY_PADDING: 60,
 
     /** Height of the metadata footer */
@@ -34,9 +34,57 @@ export const CONSTANTS = {
     /** Primary annotation color (red) */
     ANNOTATION_COLOR: '#ef4444',
 
+    /** Colors offered in the toolbar palette */
+    ANNOTATION_PALETTE: ['#ef4444', '#f59e0b', '#22c55e', '#3b82f6', '#ffffff', '#000000'],
+
+    /** Default font size for text annotations */
+    FONT_SIZE: 24,
+
+    /** Size (screen px) of the resize handles on a selected annotation */
+    HANDLE_SIZE: 10,
+
+    /** Selection outline color for the select tool */
+    SELECTION_COLOR: '#3b82f6',
+
     /** Redaction fill color (black) */
     REDACT_COLOR: '#000000',
 
+    /** Outline marking automatic redactions in the editor (never exported) */
+    AUTO_REDACT_OUTLINE: '#f59e0b',
+
+    /** How far (CSS px) the stitcher searches around the reported offset when matching seams */
+    SEAM_SEARCH_RADIUS: 40,
+
+    /** Height (CSS px) of the pixel band compared across a seam */
+    SEAM_BAND_HEIGHT: 16,
+
+    /** Maximum mean luminance difference (0-255) for a seam match to be trusted */
+    SEAM_MATCH_THRESHOLD: 6,
+
+    /** Minimum luminance variance a band needs; flat bands match anywhere */
+    SEAM_MIN_VARIANCE: 20,
+
+    /** Height (device px) of the bands the editor renders and exports tall captures in */
+    TILE_HEIGHT: 2048,
+
+    /** Largest width/height a single canvas can safely have */
+    MAX_CANVAS_DIMENSION: 32767,
+
+    /** Largest pixel area a single canvas can safely have */
+    MAX_CANVAS_AREA: 16384 * 16384,
+
     /** Maximum number of undo/redo history states */
     HISTORY_LIMIT: 20,
 };
+
+/**
+ * Background gradients for Beautify mode, chosen on the options page.
+ * Stops are spread evenly along the diagonal.
+ */
+export const BEAUTIFY_PRESETS = {
+    midnight: { label: 'Midnight', stops: ['#1a1a2e', '#16213e', '#0f3460'] },
+    sunset: { label: 'Sunset', stops: ['#f97316', '#db2777', '#7c3aed'] },
+    ocean: { label: 'Ocean', stops: ['#0ea5e9', '#2563eb', '#1e3a8a'] },
+    forest: { label: 'Forest', stops: ['#84cc16', '#16a34a', '#14532d'] },
+    slate: { label: 'Slate', stops: ['#e2e8f0', '#94a3b8', '#475569'] },
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview PNG export of a stored capture, outside the editor.
+ * Used by the History page and save-after-capture; renders through the same
+ * scene code as the editor, so the capture's saved edits are applied.
+ */
+
+import { getCaptureSlices } from '../../utils/db.js';
+import { stitchLayout, closeLayout } from '../stitcher.js';
+import { getCaptureDocument, getSceneSize, readSceneRows } from '../scene.js';
+import { encodePng } from './png.js';
+
+/**
+ * Stitches a capture, applies its edits and encodes the result.
+ * Encoded band by band, so captures beyond canvas size limits still export.
+ * @param {Object} capture - Capture record from the database
+ * @param {Object} settings - User settings (beautify look)
+ * @returns {Promise<Blob>} The PNG
+ */
+export async function encodeCapturePng(capture, settings) {
+    const slices = await getCaptureSlices(capture);
+    const layout = await stitchLayout(slices, capture.meta?.devicePixelRatio || 1);
+    if (!layout) throw new Error('Capture has no slices left');
+
+    try {
+        const doc = getCaptureDocument(capture, slices, layout, settings);
+        const size = getSceneSize(layout, doc);
+        return await encodePng(size.width, size.height, (y, rows) => readSceneRows(layout, doc, y, rows));
+    } finally {
+        closeLayout(layout);
+    }
+}
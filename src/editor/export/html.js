@@ -0,0 +1,65 @@
+/**
+ * @fileoverview HTML image-map export.
+ * Produces a single self-contained HTML file: the capture embedded as a data
+ * URL, with an image map that keeps the page's links clickable.
+ */
+
+import { blobToDataUrl } from '../../utils/blob.js';
+
+/**
+ * Builds the HTML file.
+ * @param {Object} options - Export options
+ * @param {Blob} options.image - Encoded capture (PNG)
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {Array<Object>} [options.links] - Links {href, x, y, w, h} in image pixels
+ * @param {number} [options.dpr] - Device pixel ratio; the image is shown at CSS size
+ * @param {Object} [options.metadata] - Capture metadata (title, url, capturedAt)
+ * @returns {Promise<Blob>} The HTML file
+ */
+export async function createImageMapHtml({ image, width, height, links = [], dpr = 1, metadata = null }) {
+    const src = await blobToDataUrl(image);
+    const displayWidth = Math.round(width / dpr);
+    const displayHeight = Math.round(height / dpr);
+    const title = metadata?.title || 'DeepScroll capture';
+
+    // Area coords are in displayed (CSS) pixels
+    const areas = links.map(link => {
+        const coords = [link.x, link.y, link.x + link.w, link.y + link.h].map(v => Math.round(v / dpr)).join(',');
+        return `    <area shape="rect" coords="${coords}" href="${escapeHtml(link.href)}" target="_blank" rel="noopener noreferrer">`;
+    });
+
+    const source = metadata?.url
+        ? `<p>Captured from <a href="${escapeHtml(metadata.url)}">${escapeHtml(metadata.url)}</a>` +
+          (metadata.capturedAt ? ` on ${escapeHtml(new Date(metadata.capturedAt).toLocaleString())}` : '') + '</p>\n'
+        : '';
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; background: #171717; color: #a3a3a3; font: 12px system-ui, sans-serif; }
+  p { margin: 0; padding: 8px 12px; }
+  a { color: #93c5fd; }
+  img { display: block; margin: 0 auto; max-width: none; }
+</style>
+</head>
+<body>
+${source}<img src="${src}" width="${displayWidth}" height="${displayHeight}" usemap="#deepscroll-links" alt="${escapeHtml(title)}">
+<map name="deepscroll-links">
+${areas.join('\n')}
+</map>
+</body>
+</html>
+`;
+
+    return new Blob([html], { type: 'text/html' });
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Raster image export (PNG, JPEG, WebP).
+ * PNG is streamed band by band and has no practical size limit; JPEG and WebP
+ * go through the browser's encoders and so must fit in one canvas.
+ */
+
+import { CONSTANTS } from '../constants.js';
+import { canvasToBlob } from '../stitcher.js';
+import { encodePng } from './png.js';
+
+/** Supported raster formats */
+export const IMAGE_FORMATS = {
+    png: { label: 'PNG', mime: 'image/png', extension: 'png', lossy: false, maxDimension: Infinity },
+    jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg', lossy: true, maxDimension: 65535 },
+    webp: { label: 'WebP', mime: 'image/webp', extension: 'webp', lossy: true, maxDimension: 16383 },
+};
+
+/** Rows per sample band used for size estimates */
+const SAMPLE_ROWS = 256;
+
+/** Number of sample bands spread over the image */
+const SAMPLE_COUNT = 3;
+
+/**
+ * Output size after downscaling.
+ * @param {number} width - Full-size width
+ * @param {number} height - Full-size height
+ * @param {Object} resize - {mode: 'full'|'half'|'maxWidth', maxWidth}
+ * @returns {Object} {width, height, scale}
+ */
+export function getOutputSize(width, height, resize = {}) {
+    let scale = 1;
+    if (resize.mode === 'half') scale = 0.5;
+    if (resize.mode === 'maxWidth' && resize.maxWidth > 0) scale = Math.min(1, resize.maxWidth / width);
+
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+        scale
+    };
+}
+
+/**
+ * Why an image of this size cannot be encoded in a format, if it can't.
+ * @param {string} format - Key of IMAGE_FORMATS
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {string|null} Reason, or null if the export is possible
+ */
+export function getEncodeError(format, width, height) {
+    const spec = IMAGE_FORMATS[format];
+    if (!spec) return `Unknown format: ${format}`;
+    if (format === 'png') return null;
+
+    const max = Math.min(spec.maxDimension, CONSTANTS.MAX_CANVAS_DIMENSION);
+    if (width > max || height > max || width * height > CONSTANTS.MAX_CANVAS_AREA) {
+        return `Too large for ${spec.label} (max ${max}px per side). Downscale, or use PNG or PDF.`;
+    }
+    return null;
+}
+
+/**
+ * Encodes an image supplied as rendered rows.
+ * @param {Object} options - Encode options
+ * @param {string} options.format - Key of IMAGE_FORMATS
+ * @param {number} [options.quality] - Quality for lossy formats (0-1)
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {Function} options.renderRows - (y, rows) => canvas holding those rows
+ * @returns {Promise<Blob>} The encoded image
+ */
+export async function encodeImage({ format, quality, width, height, renderRows }) {
+    const error = getEncodeError(format, width, height);
+    if (error) throw new Error(error);
+
+    if (format === 'png') {
+        return encodePng(width, height, (y, rows) => readPixels(renderRows(y, rows)));
+    }
+    return canvasToBlob(renderRows(0, height), IMAGE_FORMATS[format].mime, quality);
+}
+
+/**
+ * Estimates the encoded file size by encoding a few sample bands and
+ * extrapolating by height. Cheap enough to run while options change.
+ * @param {Object} options - Same as encodeImage
+ * @returns {Promise<number>} Estimated size in bytes
+ */
+export async function estimateImageSize({ format, quality, width, height, renderRows }) {
+    const rows = Math.min(SAMPLE_ROWS, height);
+    const starts = new Set();
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+        starts.add(Math.round((height - rows) * i / Math.max(1, SAMPLE_COUNT - 1)));
+    }
+
+    let bytes = 0;
+    for (const y of starts) {
+        const canvas = renderRows(y, rows);
+        const blob = format === 'png'
+            ? await encodePng(width, rows, () => readPixels(canvas))
+            : await canvasToBlob(canvas, IMAGE_FORMATS[format].mime, quality);
+        bytes += blob.size;
+    }
+
+    return Math.round(bytes / (rows * starts.size) * height);
+}
+
+function readPixels(canvas) {
+    return canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+}
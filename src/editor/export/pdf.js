@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Minimal PDF writer for paginated capture exports.
+ * Splits the flattened capture into page-sized bands, preferring to break at
+ * blank rows so text lines are not cut in half, and embeds each band as a JPEG.
+ * When the page's text was recorded, it is laid over the image as invisible
+ * text, so the PDF can be searched and copied from, and recorded links become
+ * clickable link annotations.
+ * Everything is generated locally; no external library or service is involved.
+ */
+
+import { canvasToBlob, createCanvas } from '../stitcher.js';
+
+/** Page sizes in PDF points (1/72 inch), portrait */
+export const PAGE_SIZES = {
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+    letter: { label: 'Letter', width: 612, height: 792 },
+};
+
+const POINTS_PER_MM = 72 / 25.4;
+
+/** Fraction of a page searched upwards for a better break row */
+const BREAK_SEARCH_FRACTION = 0.15;
+
+/** Max luminance variance for a row to count as blank */
+const BLANK_ROW_VARIANCE = 4;
+
+/** Font size (pt) of the metadata line in the bottom margin */
+const FOOTER_FONT_SIZE = 7;
+
+/** Average Helvetica glyph width, in ems, used to stretch invisible text over its run */
+const AVERAGE_GLYPH_WIDTH = 0.5;
+
+/**
+ * Creates a PDF of a tall image, one page-width band per page.
+ * @param {Object} options - Export options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {Function} options.renderRows - (y, rows) => canvas holding those rows of the image
+ * @param {string} [options.pageSize] - Key of PAGE_SIZES
+ * @param {number} [options.margin] - Page margin in millimetres
+ * @param {boolean} [options.smartBreaks] - Move page breaks to nearby blank rows
+ * @param {number} [options.quality] - JPEG quality (0-1)
+ * @param {Array<Object>} [options.textRuns] - Page text {text, x, y, w, h} in image pixels
+ * @param {Array<Object>} [options.links] - Links {href, x, y, w, h} in image pixels
+ * @param {Object} [options.metadata] - Capture metadata (title, url, capturedAt)
+ * @returns {Promise<Blob>} The PDF file
+ */
+export async function createPdf({ width, height, renderRows, pageSize = 'a4', margin = 10, smartBreaks = true, quality = 0.92, textRuns = [], links = [], metadata = null }) {
+    const page = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const marginPt = margin * POINTS_PER_MM;
+    const contentWidth = page.width - marginPt * 2;
+    const contentHeight = page.height - marginPt * 2;
+
+    // Image pixels -> points, fitting the capture width to the content width
+    const scale = contentWidth / width;
+    const pageRows = Math.max(1, Math.floor(contentHeight / scale));
+
+    const bands = [];
+    for (let y = 0; y < height;) {
+        let end = Math.min(height, y + pageRows);
+        if (smartBreaks && end < height) {
+            end = findBreakRow(renderRows, width, y, end, pageRows);
+        }
+        bands.push({ y, h: end - y });
+        y = end;
+    }
+
+    const pdf = createWriter();
+    const catalogId = pdf.reserve();
+    const pagesId = pdf.reserve();
+    const fontId = pdf.add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const infoId = pdf.add(createInfo(metadata));
+
+    const pageIds = [];
+    for (const [index, band] of bands.entries()) {
+        const jpeg = await encodeJpeg(renderRows(band.y, band.h), quality);
+        const imageId = pdf.addStream(
+            `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${band.h} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+            jpeg
+        );
+
+        const drawW = width * scale;
+        const drawH = band.h * scale;
+        const top = page.height - marginPt;
+
+        let content = `q ${num(drawW)} 0 0 ${num(drawH)} ${num(marginPt)} ${num(top - drawH)} cm /Im0 Do Q\n`;
+        content += textLayer(textRuns, band, scale, marginPt, top);
+        if (marginPt >= FOOTER_FONT_SIZE * 2) {
+            const text = footerText(metadata, index + 1, bands.length, contentWidth);
+            content += `BT /F1 ${FOOTER_FONT_SIZE} Tf 0.45 g ${num(marginPt)} ${num(marginPt / 2 - FOOTER_FONT_SIZE / 3)} Td ${pdfString(text)} Tj ET\n`;
+        }
+        const contentId = pdf.addStream('<<', latin1(content));
+
+        const annots = linkAnnotations(links, band, scale, marginPt, top).map(body => `${pdf.add(body)} 0 R`);
+        pageIds.push(pdf.add(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+            `/Resources << /XObject << /Im0 ${imageId} 0 R >> /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R` +
+            (annots.length ? ` /Annots [${annots.join(' ')}]` : '') + ' >>'
+        ));
+    }
+
+    pdf.set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    pdf.set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    return pdf.finish(catalogId, infoId);
+}
+
+/**
+ * Finds the lowest blank row above the ideal page break, so the page ends in
+ * the gap between text lines instead of through them.
+ * @param {Function} renderRows - (y, rows) => canvas
+ * @param {number} width - Image width
+ * @param {number} start - First row of the page
+ * @param {number} end - Ideal (maximum) end row of the page
+ * @param {number} pageRows - Rows per full page
+ * @returns {number} End row of the page
+ */
+function findBreakRow(renderRows, width, start, end, pageRows) {
+    const search = Math.min(Math.floor(pageRows * BREAK_SEARCH_FRACTION), end - start - 1);
+    if (search <= 0) return end;
+
+    const top = end - search;
+    const canvas = renderRows(top, search);
+    const { data } = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, search);
+    const stride = Math.max(1, Math.floor(width / 256));
+
+    for (let row = search - 1; row >= 0; row--) {
+        let sum = 0;
+        let sumSq = 0;
+        let count = 0;
+        for (let x = 0; x < width; x += stride) {
+            const p = (row * width + x) * 4;
+            const lum = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+            sum += lum;
+            sumSq += lum * lum;
+            count++;
+        }
+        const mean = sum / count;
+        if (sumSq / count - mean * mean <= BLANK_ROW_VARIANCE) {
+            return top + row + 1;
+        }
+    }
+    return end;
+}
+
+/**
+ * Invisible text (render mode 3) for the runs whose centre falls on a page,
+ * each scaled horizontally to cover its run in the image.
+ * Only WinAnsi (Latin-1) characters survive; others become '?'.
+ * @param {Array<Object>} runs - Text runs in image pixels
+ * @param {Object} band - Image rows on this page {y, h}
+ * @param {number} scale - Points per image pixel
+ * @param {number} left - Page x (pt) of the image's left edge
+ * @param {number} top - Page y (pt) of the band's top edge
+ * @returns {string} Content stream operators
+ */
+function textLayer(runs, band, scale, left, top) {
+    const ops = [];
+    for (const run of runs) {
+        const cy = run.y + run.h / 2;
+        if (cy < band.y || cy >= band.y + band.h || !run.text) continue;
+
+        const size = run.h * scale * 0.8;
+        const stretch = (run.w * scale) / (run.text.length * size * AVERAGE_GLYPH_WIDTH) * 100;
+        // Baseline sits about a fifth of the line box above its bottom
+        const x = left + run.x * scale;
+        const y = top - (run.y - band.y + run.h * 0.8) * scale;
+        ops.push(`/F1 ${num(size)} Tf ${num(stretch)} Tz 1 0 0 1 ${num(x)} ${num(y)} Tm ${pdfString(run.text)} Tj`);
+    }
+    // q/Q keeps the render mode and scaling from leaking into later text
+    return ops.length ? `q BT 3 Tr\n${ops.join('\n')}\nET Q\n` : '';
+}
+
+/**
+ * Borderless URI link annotations for the part of each link on a page.
+ * A link cut by a page break becomes clickable on both pages.
+ * @param {Array<Object>} links - Links in image pixels
+ * @param {Object} band - Image rows on this page {y, h}
+ * @param {number} scale - Points per image pixel
+ * @param {number} left - Page x (pt) of the image's left edge
+ * @param {number} top - Page y (pt) of the band's top edge
+ * @returns {Array<string>} Annotation dictionaries
+ */
+function linkAnnotations(links, band, scale, left, top) {
+    const annots = [];
+    for (const link of links) {
+        const y1 = Math.max(link.y, band.y);
+        const y2 = Math.min(link.y + link.h, band.y + band.h);
+        if (y2 <= y1) continue;
+
+        const rect = [
+            left + link.x * scale,
+            top - (y2 - band.y) * scale,
+            left + (link.x + link.w) * scale,
+            top - (y1 - band.y) * scale
+        ];
+        annots.push(
+            `<< /Type /Annot /Subtype /Link /Rect [${rect.map(num).join(' ')}] /Border [0 0 0] ` +
+            `/A << /Type /Action /S /URI /URI ${pdfUriString(link.href)} >> >>`
+        );
+    }
+    return annots;
+}
+
+/**
+ * Flattens a canvas onto white (JPEG has no alpha) and encodes it.
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Source canvas
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {Promise<Uint8Array>} JPEG bytes
+ */
+async function encodeJpeg(canvas, quality) {
+    const flat = createCanvas(canvas.width, canvas.height);
+    const ctx = flat.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(canvas, 0, 0);
+
+    const blob = await canvasToBlob(flat, 'image/jpeg', quality);
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Document information dictionary (shown in PDF viewers' properties dialog).
+ * @param {Object|null} metadata - Capture metadata
+ * @returns {string} The dictionary
+ */
+function createInfo(metadata) {
+    const entries = [`/Producer ${pdfTextString('DeepScroll')}`];
+    if (metadata?.title) entries.push(`/Title ${pdfTextString(metadata.title)}`);
+    if (metadata?.url) entries.push(`/Subject ${pdfTextString(metadata.url)}`);
+
+    const date = new Date(metadata?.capturedAt || Date.now());
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    entries.push(`/CreationDate (D:${stamp})`);
+
+    return `<< ${entries.join(' ')} >>`;
+}
+
+/**
+ * Metadata line printed in each page's bottom margin, shortened to fit.
+ * @param {Object|null} metadata - Capture metadata
+ * @param {number} pageNumber - 1-based page number
+ * @param {number} pageCount - Total pages
+ * @param {number} maxWidth - Available width in points
+ * @returns {string} The line
+ */
+function footerText(metadata, pageNumber, pageCount, maxWidth) {
+    const date = new Date(metadata?.capturedAt || Date.now());
+    const suffix = ` · ${date.toLocaleString()} · ${pageNumber}/${pageCount}`;
+    let text = [metadata?.title, metadata?.url].filter(Boolean).join(' · ');
+
+    // Helvetica averages about half an em per character
+    const maxChars = Math.floor(maxWidth / (FOOTER_FONT_SIZE * 0.5)) - suffix.length;
+    if (text.length > maxChars) text = text.slice(0, Math.max(0, maxChars - 1)) + '…';
+    return text + suffix;
+}
+
+// --- PDF Syntax ---
+
+/**
+ * Collects numbered objects and serializes them with a cross-reference table.
+ * @returns {Object} Writer {reserve, add, addStream, set, finish}
+ */
+function createWriter() {
+    const objects = [];
+
+    const reserve = () => {
+        objects.push(null);
+        return objects.length;
+    };
+    const set = (id, body) => {
+        objects[id - 1] = [latin1(body)];
+    };
+
+    return {
+        reserve,
+        set,
+        add(body) {
+            const id = reserve();
+            set(id, body);
+            return id;
+        },
+        /** Adds a stream object; `dict` is an unterminated dictionary ("<< ...") */
+        addStream(dict, data) {
+            const id = reserve();
+            objects[id - 1] = [latin1(`${dict} /Length ${data.length} >>\nstream\n`), data, latin1('\nendstream')];
+            return id;
+        },
+        finish(rootId, infoId) {
+            const parts = [latin1('%PDF-1.4\n%\u00e2\u00e3\u00cf\u00d3\n')];
+            let offset = parts[0].length;
+            const offsets = [];
+
+            objects.forEach((chunks, i) => {
+                offsets.push(offset);
+                const objParts = [latin1(`${i + 1} 0 obj\n`), ...chunks, latin1('\nendobj\n')];
+                for (const part of objParts) {
+                    parts.push(part);
+                    offset += part.length;
+                }
+            });
+
+            let xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            for (const o of offsets) xref += `${String(o).padStart(10, '0')} 00000 n \n`;
+            xref += `trailer\n<< /Size ${objects.length + 1} /Root ${rootId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+            parts.push(latin1(xref));
+
+            return new Blob(parts, { type: 'application/pdf' });
+        }
+    };
+}
+
+/** Encodes a string as single bytes (callers keep it within Latin-1) */
+function latin1(str) {
+    return Uint8Array.from(str, c => c.charCodeAt(0) & 0xff);
+}
+
+/** Formats a number for PDF operators */
+function num(n) {
+    return Number(n.toFixed(2)).toString();
+}
+
+/**
+ * Literal string for page content (WinAnsi); characters outside Latin-1 become '?'.
+ * @param {string} text - Text to encode
+ * @returns {string} PDF literal string, including parentheses
+ */
+export function pdfString(text) {
+    const safe = Array.from(text, c => {
+        if (c === '…') return '\u0085'; // WinAnsi ellipsis
+        if (/\s/.test(c)) return ' '; // Includes the narrow spaces toLocaleString emits
+        return c.charCodeAt(0) > 0xff ? '?' : c;
+    }).join('');
+    return `(${safe.replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * ASCII string for a link target; anything outside printable ASCII is percent-encoded.
+ * @param {string} uri - Absolute URL
+ * @returns {string} PDF literal string, including parentheses
+ */
+function pdfUriString(uri) {
+    const safe = uri.replace(/[^\x21-\x7e]/g, c => encodeURIComponent(c));
+    return `(${safe.replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * Unicode text string for document metadata (UTF-16BE with byte order mark).
+ * @param {string} text - Text to encode
+ * @returns {string} PDF hex string
+ */
+function pdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
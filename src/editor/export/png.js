@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Streaming PNG encoder.
+ * Browser canvases cannot hold images beyond their size/area limits, so tall
+ * exports are encoded band by band: each band's rows are filtered and fed to a
+ * zlib CompressionStream, and only the compressed bytes are kept in memory.
+ */
+
+import { CONSTANTS } from '../constants.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/** Max bytes per IDAT chunk */
+const IDAT_CHUNK_SIZE = 1 << 20;
+
+let crcTable = null;
+
+/**
+ * Encodes an RGBA image supplied in horizontal bands as a PNG.
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Function} readRows - (y, rows) => ImageData|Promise<ImageData> for that band
+ * @param {number} [bandHeight] - Rows requested per readRows call
+ * @returns {Promise<Blob>} The PNG file
+ */
+export async function encodePng(width, height, readRows, bandHeight = CONSTANTS.TILE_HEIGHT) {
+    const zlib = new CompressionStream('deflate');
+    const writer = zlib.writable.getWriter();
+    const compressed = new Response(zlib.readable).arrayBuffer();
+
+    const stride = width * 4;
+    for (let y = 0; y < height; y += bandHeight) {
+        const rows = Math.min(bandHeight, height - y);
+        const { data } = await readRows(y, rows);
+
+        // Each scanline: filter byte (1 = Sub) followed by the filtered RGBA bytes
+        const out = new Uint8Array(rows * (stride + 1));
+        for (let row = 0; row < rows; row++) {
+            const src = row * stride;
+            const dst = row * (stride + 1);
+            out[dst] = 1;
+            for (let i = 0; i < stride; i++) {
+                out[dst + 1 + i] = i < 4 ? data[src + i] : data[src + i] - data[src + i - 4];
+            }
+        }
+        await writer.write(out);
+    }
+    await writer.close();
+
+    const idat = new Uint8Array(await compressed);
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // Bit depth
+    header[9] = 6; // Color type: RGBA
+    // Compression, filter and interlace methods are all 0
+
+    const parts = [new Uint8Array(PNG_SIGNATURE), createChunk('IHDR', header)];
+    for (let offset = 0; offset < idat.length; offset += IDAT_CHUNK_SIZE) {
+        parts.push(createChunk('IDAT', idat.subarray(offset, offset + IDAT_CHUNK_SIZE)));
+    }
+    parts.push(createChunk('IEND', new Uint8Array(0)));
+
+    return new Blob(parts, { type: 'image/png' });
+}
+
+/**
+ * Builds a PNG chunk: length, type, data, CRC of type + data.
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Uint8Array} The encoded chunk
+ */
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * CRC-32 as used by PNG (and zip).
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned 32-bit CRC
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -1,78 +1,138 @@
 /**
  * @fileoverview Custom hook for managing undo/redo history state.
- * Provides a clean interface for history management with configurable limits.
+ * History is a list of patch records, not document snapshots: each record
+ * holds only the annotations an edit added or removed (and the crop, when it
+ * changed), so memory stays bounded by the edits made, not by image size.
  */
 
-import { useState, useCallback } from 'react';
-import { CONSTANTS } from './constants.js';
+import { useState, useCallback, useRef } from 'react';
+import { CONSTANTS } from '../constants.js';
 
 /**
- * Custom hook for managing canvas history state (undo/redo).
- * @param {number} [limit] - Maximum number of history states to keep
+ * Describes the change from one editor document to the next.
+ * Documents are {annotations, crop}; annotation objects are immutable, so an
+ * edited annotation shows up as one removed and one added entry.
+ * @param {Object} prev - Document before the edit
+ * @param {Object} next - Document after the edit
+ * @returns {Object|null} Patch {removed, added, crop}, or null if nothing changed
+ */
+export function createPatch(prev, next) {
+    const nextSet = new Set(next.annotations);
+    const prevSet = new Set(prev.annotations);
+
+    const removed = [];
+    prev.annotations.forEach((annotation, index) => {
+        if (!nextSet.has(annotation)) removed.push({ index, annotation });
+    });
+
+    const added = [];
+    next.annotations.forEach((annotation, index) => {
+        if (!prevSet.has(annotation)) added.push({ index, annotation });
+    });
+
+    const crop = prev.crop !== next.crop ? { before: prev.crop, after: next.crop } : null;
+
+    if (removed.length === 0 && added.length === 0 && !crop) return null;
+    return { removed, added, crop };
+}
+
+/**
+ * Applies a patch forwards (redo) or backwards (undo).
+ * @param {Object} doc - Document the patch starts from
+ * @param {Object} patch - Patch produced by createPatch
+ * @param {boolean} [reverse] - Undo the patch instead of applying it
+ * @returns {Object} The resulting document
+ */
+export function applyPatch(doc, patch, reverse = false) {
+    const remove = reverse ? patch.added : patch.removed;
+    const insert = reverse ? patch.removed : patch.added;
+
+    const annotations = [...doc.annotations];
+    // Highest index first, so earlier indices stay valid
+    for (let i = remove.length - 1; i >= 0; i--) {
+        annotations.splice(remove[i].index, 1);
+    }
+    for (const { index, annotation } of insert) {
+        annotations.splice(index, 0, annotation);
+    }
+
+    let crop = doc.crop;
+    if (patch.crop) crop = reverse ? patch.crop.before : patch.crop.after;
+
+    return { annotations, crop };
+}
+
+/**
+ * Custom hook for managing editor history state (undo/redo).
+ * @param {number} [limit] - Maximum number of undo steps to keep
  * @returns {Object} History management interface
  */
 export function useHistory(limit = CONSTANTS.HISTORY_LIMIT) {
-    const [history, setHistory] = useState([]);
-    const [historyIndex, setHistoryIndex] = useState(-1);
+    // Stacks live in a ref so event handlers always see the latest records
+    const stacksRef = useRef({ past: [], future: [] });
+    const [counts, setCounts] = useState({ past: 0, future: 0 });
+
+    const sync = useCallback(() => {
+        const { past, future } = stacksRef.current;
+        setCounts({ past: past.length, future: future.length });
+    }, []);
 
     /**
-     * Saves a new state to history, pruning future states if in middle of history.
-     * @param {ImageData} imageData - The canvas image data to save
+     * Records an edit, dropping any redo steps and the oldest record past the limit.
+     * @param {Object} prev - Document before the edit
+     * @param {Object} next - Document after the edit
      */
-    const saveState = useCallback((imageData) => {
-        setHistory(prev => {
-            const newHistory = prev.slice(0, historyIndex + 1);
-            newHistory.push(imageData);
-
-            // Enforce history limit
-            if (newHistory.length > limit) {
-                newHistory.shift();
-                return newHistory;
-            }
-            return newHistory;
-        });
-        setHistoryIndex(prev => Math.min(prev + 1, limit - 1));
-    }, [historyIndex, limit]);
+    const record = useCallback((prev, next) => {
+        const patch = createPatch(prev, next);
+        if (!patch) return;
+
+        const { past } = stacksRef.current;
+        past.push(patch);
+        if (past.length > limit) past.shift();
+        stacksRef.current.future = [];
+        sync();
+    }, [limit, sync]);
 
     /**
-     * Moves back one step in history.
-     * @returns {ImageData|null} The previous state, or null if at beginning
+     * Steps back one edit.
+     * @param {Object} doc - The current document
+     * @returns {Object|null} The previous document, or null if there is nothing to undo
      */
-    const undo = useCallback(() => {
-        if (historyIndex <= 0) return null;
-        const newIndex = historyIndex - 1;
-        setHistoryIndex(newIndex);
-        return history[newIndex];
-    }, [history, historyIndex]);
+    const undo = useCallback((doc) => {
+        const patch = stacksRef.current.past.pop();
+        if (!patch) return null;
+        stacksRef.current.future.push(patch);
+        sync();
+        return applyPatch(doc, patch, true);
+    }, [sync]);
 
     /**
-     * Moves forward one step in history.
-     * @returns {ImageData|null} The next state, or null if at end
+     * Steps forward one edit.
+     * @param {Object} doc - The current document
+     * @returns {Object|null} The next document, or null if there is nothing to redo
      */
-    const redo = useCallback(() => {
-        if (historyIndex >= history.length - 1) return null;
-        const newIndex = historyIndex + 1;
-        setHistoryIndex(newIndex);
-        return history[newIndex];
-    }, [history, historyIndex]);
+    const redo = useCallback((doc) => {
+        const patch = stacksRef.current.future.pop();
+        if (!patch) return null;
+        stacksRef.current.past.push(patch);
+        sync();
+        return applyPatch(doc, patch);
+    }, [sync]);
 
     /**
-     * Initializes history with an initial state.
-     * @param {ImageData} imageData - The initial canvas state
+     * Forgets all history (e.g. when a different document is loaded).
      */
-    const initHistory = useCallback((imageData) => {
-        setHistory([imageData]);
-        setHistoryIndex(0);
-    }, []);
+    const clearHistory = useCallback(() => {
+        stacksRef.current = { past: [], future: [] };
+        sync();
+    }, [sync]);
 
     return {
-        history,
-        historyIndex,
-        saveState,
+        record,
         undo,
         redo,
-        initHistory,
-        canUndo: historyIndex > 0,
-        canRedo: historyIndex < history.length - 1,
+        clearHistory,
+        canUndo: counts.past > 0,
+        canRedo: counts.future > 0,
     };
 }
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview DOM layers recorded alongside the slice images.
+ * The content script stores page text, link boxes and sensitive areas per slice, in CSS pixels
+ * relative to the slice image; these helpers move them into stitched-image
+ * coordinates using the final (seam-aligned) tile positions, and query them.
+ */
+
+/** Grid (device px) used to merge the copies of a box seen in overlapping slices */
+const DEDUPE_GRID = 8;
+
+/**
+ * Maps every slice's text runs into stitched-image coordinates.
+ * @param {Array<Object>} slices - Slice records (with optional `text` runs), in capture order
+ * @param {Object} layout - Layout from stitchLayout; tile i belongs to slice i
+ * @param {number} dpr - Device pixel ratio the slices were captured at
+ * @returns {Array<Object>} Runs [{text, x, y, w, h}] in image pixels
+ */
+export function buildTextLayer(slices, layout, dpr) {
+    return mapSliceLayer(slices, layout, dpr, 'text', run => ({ text: run.text }));
+}
+
+/**
+ * Maps every slice's link boxes into stitched-image coordinates.
+ * @param {Array<Object>} slices - Slice records (with optional `links`), in capture order
+ * @param {Object} layout - Layout from stitchLayout; tile i belongs to slice i
+ * @param {number} dpr - Device pixel ratio the slices were captured at
+ * @returns {Array<Object>} Links [{href, x, y, w, h}] in image pixels
+ */
+export function buildLinkLayer(slices, layout, dpr) {
+    return mapSliceLayer(slices, layout, dpr, 'links', link => ({ href: link.href }));
+}
+
+/**
+ * Maps every slice's sensitive areas into stitched-image coordinates, merging
+ * the overlapping boxes left by a match seen (or cut) in neighbouring slices.
+ * @param {Array<Object>} slices - Slice records (with optional `sensitive` areas), in capture order
+ * @param {Object} layout - Layout from stitchLayout; tile i belongs to slice i
+ * @param {number} dpr - Device pixel ratio the slices were captured at
+ * @returns {Array<Object>} Areas [{kind, x, y, w, h}] in image pixels
+ */
+export function buildSensitiveLayer(slices, layout, dpr) {
+    const areas = [];
+    for (const area of mapSliceLayer(slices, layout, dpr, 'sensitive', item => ({ kind: item.kind }))) {
+        const overlap = areas.find(other => other.kind === area.kind && intersects(other, area));
+        if (!overlap) {
+            areas.push(area);
+            continue;
+        }
+        const right = Math.max(overlap.x + overlap.w, area.x + area.w);
+        const bottom = Math.max(overlap.y + overlap.h, area.y + area.h);
+        overlap.x = Math.min(overlap.x, area.x);
+        overlap.y = Math.min(overlap.y, area.y);
+        overlap.w = right - overlap.x;
+        overlap.h = bottom - overlap.y;
+    }
+    return areas;
+}
+
+/**
+ * Moves the rectangles of one per-slice layer onto their tiles, dropping the
+ * duplicates seen again in overlapping slices.
+ */
+function mapSliceLayer(slices, layout, dpr, field, pick) {
+    const items = [];
+    const seen = new Set();
+
+    slices.forEach((slice, i) => {
+        const tile = layout.tiles[i];
+        if (!tile || !slice[field]) return;
+
+        for (const item of slice[field]) {
+            const mapped = {
+                ...pick(item),
+                x: tile.x + item.x * dpr,
+                y: tile.y + item.y * dpr,
+                w: item.w * dpr,
+                h: item.h * dpr
+            };
+            const key = `${item.text ?? item.href ?? item.kind}|${Math.round(mapped.x / DEDUPE_GRID)}|${Math.round(mapped.y / DEDUPE_GRID)}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            items.push(mapped);
+        }
+    });
+
+    return items;
+}
+
+function intersects(a, b) {
+    return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+/**
+ * Clips rectangles to an area, dropping those that miss it.
+ * @param {Array<Object>} items - Rectangles {x, y, w, h, ...}
+ * @param {Object} rect - Area {x, y, w, h}, same coordinates as the items
+ * @returns {Array<Object>} Clipped copies
+ */
+export function clipToRect(items, rect) {
+    const clipped = [];
+    for (const item of items) {
+        const x = Math.max(item.x, rect.x);
+        const y = Math.max(item.y, rect.y);
+        const right = Math.min(item.x + item.w, rect.x + rect.w);
+        const bottom = Math.min(item.y + item.h, rect.y + rect.h);
+        if (right <= x || bottom <= y) continue;
+        clipped.push({ ...item, x, y, w: right - x, h: bottom - y });
+    }
+    return clipped;
+}
+
+/** Annotation types that hide what is under them */
+const COVERING_TYPES = ['redact', 'blur'];
+
+/**
+ * Drops the items that touch a redact or blur annotation, so hidden content
+ * doesn't leak through the text or link layers.
+ * @param {Array<Object>} items - Rectangles {x, y, w, h, ...} in image coordinates
+ * @param {Array<Object>} annotations - The document's annotations
+ * @returns {Array<Object>} The uncovered items
+ */
+export function excludeCovered(items, annotations) {
+    const covers = annotations.filter(a => COVERING_TYPES.includes(a.type));
+    if (covers.length === 0) return items;
+    return items.filter(item => !covers.some(cover => intersects(item, cover)));
+}
+
+/**
+ * Runs whose centre lies inside a rectangle.
+ * @param {Array<Object>} runs - Text runs
+ * @param {Object} rect - Area {x, y, w, h}, same coordinates as the runs
+ * @returns {Array<Object>} Matching runs
+ */
+export function findTextInRect(runs, rect) {
+    return runs.filter(run => {
+        const cx = run.x + run.w / 2;
+        const cy = run.y + run.h / 2;
+        return cx >= rect.x && cx <= rect.x + rect.w && cy >= rect.y && cy <= rect.y + rect.h;
+    });
+}
+
+/**
+ * Joins runs into plain text in reading order: top to bottom, then left to right,
+ * starting a new line whenever a run sits below the current line.
+ * @param {Array<Object>} runs - Text runs
+ * @returns {string} The text
+ */
+export function textFromRuns(runs) {
+    const sorted = [...runs].sort((a, b) => a.y - b.y || a.x - b.x);
+    const lines = [];
+
+    for (const run of sorted) {
+        const line = lines[lines.length - 1];
+        if (line && run.y + run.h / 2 < line.y + line.h) {
+            line.runs.push(run);
+        } else {
+            lines.push({ y: run.y, h: run.h, runs: [run] });
+        }
+    }
+
+    return lines
+        .map(line => line.runs.sort((a, b) => a.x - b.x).map(run => run.text).join(' '))
+        .join('\n');
+}
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Flattening of an edited capture into its output ("scene").
+ * The scene is the stitched image cropped to the view, with annotations,
+ * beautify padding and the metadata footer composited on top. The editor draws
+ * it interactively; every save path (editor export, History re-download,
+ * save after capture) renders it through the same functions here, so saved
+ * redactions, blur and crop are always applied.
+ *
+ * A document is {annotations, crop, isBeautified, hasFooter, metadata, settings}.
+ */
+
+import { CONSTANTS, BEAUTIFY_PRESETS } from './constants.js';
+import { createAnnotation, drawAnnotation } from './tools.js';
+import { drawLayout, createCanvas } from './stitcher.js';
+import { buildSensitiveLayer } from './layers.js';
+
+/**
+ * Visible part of the base image, in image coordinates.
+ * @param {Object} layout - Layout from stitchLayout
+ * @param {Object} doc - Document (only `crop` is used)
+ * @returns {Object} View {x, y, w, h}
+ */
+export function getSceneView(layout, doc) {
+    return doc.crop || { x: 0, y: 0, w: layout.width, h: layout.height };
+}
+
+/**
+ * Beautify padding around the image (0 when beautify is off).
+ * @param {Object} doc - Document
+ * @returns {number} Padding in device px
+ */
+export function getScenePadding(doc) {
+    return doc.isBeautified ? (doc.settings?.beautifyPadding ?? CONSTANTS.BEAUTIFY_PADDING) : 0;
+}
+
+/**
+ * Size of the composed output (image, padding and footer), in device px.
+ * @param {Object} layout - Layout from stitchLayout
+ * @param {Object} doc - Document
+ * @returns {Object} Size {width, height}
+ */
+export function getSceneSize(layout, doc) {
+    const view = getSceneView(layout, doc);
+    const padding = getScenePadding(doc);
+    const footerH = doc.hasFooter ? CONSTANTS.FOOTER_HEIGHT : 0;
+    return {
+        width: view.w + (padding * 2),
+        height: view.h + (padding * 2) + footerH
+    };
+}
+
+/**
+ * Composites the base image, annotations, padding and footer for one band.
+ * The context must be translated so that scene row `band.y` lands on its first row.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+ * @param {Object} layout - Layout from stitchLayout
+ * @param {Object} doc - Document
+ * @param {Object} size - Scene size from getSceneSize
+ * @param {Object} band - Rows being drawn {y, h}
+ * @param {Object} [overlays] - Extra drawing for the editor
+ * @param {Function} [overlays.image] - Called in image coordinates, clipped to the image
+ * @param {Function} [overlays.scene] - Called in scene coordinates, after the footer
+ */
+export function drawScene(ctx, layout, doc, size, band, overlays = {}) {
+    const view = getSceneView(layout, doc);
+    const { w, h } = view;
+    const padding = getScenePadding(doc);
+    const footerH = doc.hasFooter ? CONSTANTS.FOOTER_HEIGHT : 0;
+
+    // Background
+    if (doc.isBeautified) {
+        // Gradient background from the chosen preset
+        const { stops } = BEAUTIFY_PRESETS[doc.settings?.beautifyPreset] || BEAUTIFY_PRESETS.midnight;
+        const grad = ctx.createLinearGradient(0, 0, size.width, size.height);
+        stops.forEach((color, i) => grad.addColorStop(i / (stops.length - 1), color));
+        ctx.fillStyle = grad;
+        ctx.fillRect(0, band.y, size.width, band.h);
+    }
+
+    // Image + annotations, clipped to the (rounded, when beautified) image area
+    const cornerRadius = doc.isBeautified ? 12 : 0;
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(padding, padding, w, h, cornerRadius);
+    ctx.clip();
+
+    // Base image and annotations live in image coordinates
+    ctx.translate(padding - view.x, padding - view.y);
+    drawLayout(ctx, layout, { x: view.x, y: view.y + band.y - padding, w, h: band.h });
+
+    for (const a of doc.annotations) {
+        drawAnnotation(ctx, a, layout);
+    }
+    if (overlays.image) overlays.image(ctx);
+    ctx.restore();
+
+    if (doc.isBeautified) {
+        // Draw border around image
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(padding, padding, w, h, cornerRadius);
+        ctx.stroke();
+    }
+
+    // Draw Footer
+    if (doc.hasFooter) {
+        const { metadata } = doc;
+        const footerY = padding + h;
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(padding, footerY, w, footerH);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const dateStr = metadata?.capturedAt
+            ? new Date(metadata.capturedAt).toLocaleDateString() + ' ' + new Date(metadata.capturedAt).toLocaleTimeString()
+            : new Date().toLocaleDateString();
+
+        const source = metadata?.url ? new URL(metadata.url).hostname : 'DeepScroll Capture';
+
+        ctx.fillText(`${source} • ${dateStr}`, size.width / 2, footerY + (footerH / 2));
+    }
+
+    if (overlays.scene) overlays.scene(ctx);
+}
+
+/**
+ * Renders rows of the flattened output.
+ * @param {Object} layout - Layout from stitchLayout
+ * @param {Object} doc - Document
+ * @param {number} y - First output row
+ * @param {number} rows - Number of rows
+ * @param {number} [scale] - Output scale relative to the full-size scene
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas holding just those rows
+ */
+export function renderSceneRows(layout, doc, y, rows, scale = 1) {
+    const size = getSceneSize(layout, doc);
+    const canvas = createCanvas(Math.max(1, Math.round(size.width * scale)), rows);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.scale(scale, scale);
+    ctx.translate(0, -y / scale);
+    drawScene(ctx, layout, doc, size, { y: y / scale, h: rows / scale });
+    return canvas;
+}
+
+/**
+ * Pixels of rows of the flattened output (for the streaming encoders).
+ * @param {Object} layout - Layout from stitchLayout
+ * @param {Object} doc - Document
+ * @param {number} y - First output row
+ * @param {number} rows - Number of rows
+ * @returns {ImageData} The rows' pixels
+ */
+export function readSceneRows(layout, doc, y, rows) {
+    const canvas = renderSceneRows(layout, doc, y, rows);
+    return canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, rows);
+}
+
+/**
+ * Redaction annotations flagged `auto` over the sensitive areas found during capture.
+ * @param {Array<Object>} areas - Sensitive areas {kind, x, y, w, h} in image coordinates
+ * @returns {Array<Object>} Redact annotations
+ */
+export function createAutoRedactions(areas) {
+    return areas.map(({ kind, x, y, w, h }) =>
+        createAnnotation('redact', { x, y, w, h, color: CONSTANTS.REDACT_COLOR, auto: true, kind })
+    );
+}
+
+/**
+ * The document a stored capture exports as outside the editor: its saved
+ * edits, plus the auto-redactions the editor would apply on open unless the
+ * edits record (`autoRedacted`) that they already include them.
+ * @param {Object} capture - Capture record
+ * @param {Array<Object>} slices - The capture's slice records
+ * @param {Object} layout - Layout from stitchLayout
+ * @param {Object} settings - User settings (beautify look)
+ * @returns {Object} Document
+ */
+export function getCaptureDocument(capture, slices, layout, settings) {
+    const edits = capture.edits;
+    const annotations = [...(edits?.annotations || [])];
+    if (!edits?.autoRedacted) {
+        annotations.push(...createAutoRedactions(buildSensitiveLayer(slices, layout, capture.meta?.devicePixelRatio || 1)));
+    }
+
+    return {
+        annotations,
+        crop: edits?.crop || null,
+        isBeautified: !!edits?.isBeautified,
+        hasFooter: !!edits?.hasFooter,
+        metadata: capture.meta,
+        settings
+    };
+}
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Stitching utilities for DeepScroll Canvas Editor.
+ * Lays captured slices out on a 2D grid using their scroll offsets, corrects
+ * vertical seams by matching overlapping pixels, and draws the result region by region.
+ */
+
+import { CONSTANTS } from './constants.js';
+
+/** Max number of columns sampled per row when comparing seam bands */
+const SEAM_SAMPLE_COLUMNS = 256;
+
+/**
+ * Loads slice images and lays them out as a tiled image.
+ * Nothing is composited up front: the decoded slices are the tiles, so captures
+ * taller than the browser's canvas size limits can still be drawn region by region.
+ * Works in any context with OffscreenCanvas (editor, extension pages, service worker).
+ * @param {Array<Object>} slices - Slice records with dataUrl and x/y offsets
+ * @param {number} dpr - Device pixel ratio the slices were captured at
+ * @returns {Promise<Object|null>} Layout {tiles, width, height}, or null if there are no slices.
+ *   Release it with closeLayout when done.
+ */
+export async function stitchLayout(slices, dpr) {
+    const images = await Promise.all(slices.map((slice) => loadImage(slice.dataUrl)));
+    if (images.length === 0) return null;
+
+    // Place every slice (vertical strip or 2D tile grid) at its scroll offset,
+    // then let the overlapping pixels correct any drift in those offsets
+    return alignSeams(computeLayout(images, slices, dpr), dpr);
+}
+
+/**
+ * Frees the decoded slice images held by a layout.
+ * @param {Object} layout - Layout produced by stitchLayout
+ */
+export function closeLayout(layout) {
+    for (const tile of layout.tiles) tile.image.close?.();
+}
+
+/**
+ * Renders a horizontal band of a layout and returns its pixels.
+ * Used to stream very tall images into encoders one band at a time.
+ * @param {Object} layout - Layout produced by stitchLayout
+ * @param {number} y - First row of the band
+ * @param {number} height - Number of rows
+ * @returns {ImageData} The band's pixels
+ */
+export function readLayoutRows(layout, y, height) {
+    const canvas = createCanvas(layout.width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.translate(0, -y);
+    drawLayout(ctx, layout, { x: 0, y, w: layout.width, h: height });
+    return ctx.getImageData(0, 0, layout.width, height);
+}
+
+/**
+ * Decodes a data URL into an ImageBitmap.
+ * @param {string} src - Image data URL
+ * @returns {Promise<ImageBitmap>} The decoded image
+ */
+export async function loadImage(src) {
+    const blob = await (await fetch(src)).blob();
+    return createImageBitmap(blob);
+}
+
+/**
+ * Encodes a canvas (DOM or offscreen) to a Blob.
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} [type] - MIME type
+ * @param {number} [quality] - Quality for lossy formats (0-1)
+ * @returns {Promise<Blob>} The encoded image
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('Canvas encoding failed')), type, quality);
+    });
+}
+
+/**
+ * Computes where each slice image lands in the stitched output.
+ * Slices are positioned at their scroll offsets (converted to device pixels),
+ * so vertical strips and 2D tile grids are handled the same way.
+ * @param {Array<CanvasImageSource>} images - Loaded slice images, in capture order
+ * @param {Array<Object>} slices - Slice records with x/y scroll offsets (CSS pixels)
+ * @param {number} dpr - Device pixel ratio the slices were captured at
+ * @returns {Object} Layout {tiles: [{image, x, y}], width, height}
+ */
+export function computeLayout(images, slices, dpr) {
+    const tiles = images.map((image, i) => ({
+        image,
+        x: Math.round((slices[i]?.x || 0) * dpr),
+        y: Math.round((slices[i]?.y || 0) * dpr)
+    }));
+
+    // Normalize so the top-left tile sits at the origin
+    const minX = Math.min(...tiles.map(t => t.x));
+    const minY = Math.min(...tiles.map(t => t.y));
+
+    let width = 0;
+    let height = 0;
+    for (const tile of tiles) {
+        tile.x -= minX;
+        tile.y -= minY;
+        width = Math.max(width, tile.x + tile.image.width);
+        height = Math.max(height, tile.y + tile.image.height);
+    }
+
+    return { tiles, width, height };
+}
+
+/**
+ * Draws the tiles of a layout onto a canvas context, at layout coordinates.
+ * Overlapping regions contain the same content, so later tiles simply paint over earlier ones.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} layout - Layout produced by computeLayout
+ * @param {Object} [region] - Only draw tiles intersecting this area {x, y, w, h}
+ */
+export function drawLayout(ctx, layout, region = null) {
+    for (const tile of layout.tiles) {
+        if (region && (
+            tile.x >= region.x + region.w || tile.x + tile.image.width <= region.x ||
+            tile.y >= region.y + region.h || tile.y + tile.image.height <= region.y
+        )) continue;
+        ctx.drawImage(tile.image, tile.x, tile.y);
+    }
+}
+
+/**
+ * Verifies and corrects each vertical seam by comparing the pixels the two
+ * slices share. The reported scroll offset is only a starting guess: smooth
+ * scrolling, late layout shifts or re-appearing sticky bars all make it drift.
+ * Falls back to the reported offset when no confident match is found.
+ *
+ * With 2D tiling, the tiles of one row were all captured at the same vertical
+ * scroll position, so a seam is measured once per row (in the first column
+ * that yields a correction) and the shift is applied to the whole row.
+ * @param {Object} layout - Layout produced by computeLayout (mutated in place)
+ * @param {number} dpr - Device pixel ratio the slices were captured at
+ * @returns {Object} The same layout, with corrected tile positions and height
+ */
+export function alignSeams(layout, dpr) {
+    const { tiles } = layout;
+    const rows = groupRows(tiles);
+
+    for (let r = 1; r < rows.length; r++) {
+        let shift = 0;
+        for (const tile of rows[r]) {
+            // The slice above this one in the same column
+            const prev = rows[r - 1].find(t => t.x === tile.x);
+            if (!prev || prev.image.width !== tile.image.width) continue;
+
+            const expected = tile.y - prev.y;
+            shift = findSeamOffset(prev.image, tile.image, expected, dpr) - expected;
+            if (shift !== 0) break;
+        }
+        if (shift === 0) continue;
+
+        // Move this row and every row below it, in every column
+        for (let k = r; k < rows.length; k++) {
+            for (const tile of rows[k]) tile.y += shift;
+        }
+    }
+
+    layout.height = Math.max(...tiles.map(t => t.y + t.image.height));
+    return layout;
+}
+
+/**
+ * Groups tiles into rows by their (reported) vertical position, top to bottom.
+ * @param {Array<Object>} tiles - Layout tiles
+ * @returns {Array<Array<Object>>} Rows of tiles
+ */
+function groupRows(tiles) {
+    const rows = new Map();
+    for (const tile of tiles) {
+        if (!rows.has(tile.y)) rows.set(tile.y, []);
+        rows.get(tile.y).push(tile);
+    }
+    return [...rows.keys()].sort((a, b) => a - b).map(y => rows.get(y));
+}
+
+/**
+ * Finds the vertical offset at which `curr` continues `prev`, searching near
+ * the expected offset. A band from the middle of the expected overlap is used,
+ * which keeps sticky headers and footers at the slice edges out of the match.
+ * @param {CanvasImageSource} prev - Upper slice image
+ * @param {CanvasImageSource} curr - Lower slice image
+ * @param {number} expected - Offset (device px) reported by the scroll position
+ * @param {number} dpr - Device pixel ratio
+ * @returns {number} Offset (device px) of curr relative to prev
+ */
+export function findSeamOffset(prev, curr, expected, dpr) {
+    const overlap = prev.height - expected;
+    const bandHeight = Math.round(CONSTANTS.SEAM_BAND_HEIGHT * dpr);
+    const radius = Math.round(CONSTANTS.SEAM_SEARCH_RADIUS * dpr);
+
+    if (overlap < bandHeight * 2) return expected;
+
+    const bandTop = Math.floor((overlap - bandHeight) / 2);
+    const band = readLuminance(curr, bandTop, bandHeight);
+    if (variance(band.values) < CONSTANTS.SEAM_MIN_VARIANCE) return expected;
+
+    // Candidate offsets, clamped so the band stays inside prev
+    const minOffset = Math.max(expected - radius, -bandTop);
+    const maxOffset = Math.min(expected + radius, prev.height - bandTop - bandHeight);
+    if (maxOffset < minOffset) return expected;
+
+    const strip = readLuminance(prev, minOffset + bandTop, maxOffset - minOffset + bandHeight);
+
+    let best = expected;
+    let bestDiff = Infinity;
+    const diffs = new Map();
+
+    for (let offset = minOffset; offset <= maxOffset; offset++) {
+        const diff = bandDifference(band, strip, offset - minOffset);
+        diffs.set(offset, diff);
+        if (diff < bestDiff) {
+            bestDiff = diff;
+            best = offset;
+        }
+    }
+
+    if (bestDiff > CONSTANTS.SEAM_MATCH_THRESHOLD) return expected;
+
+    // Prefer the reported offset when it is as good as the best match
+    if (diffs.has(expected) && diffs.get(expected) <= bestDiff + 0.5) return expected;
+
+    // Repeating patterns (stripes, table rows) match in several places: reject ambiguity
+    for (const [offset, diff] of diffs) {
+        if (Math.abs(offset - best) > 2 && diff <= bestDiff + 0.5) return expected;
+    }
+
+    return best;
+}
+
+/**
+ * Reads a horizontal strip of an image as sampled luminance values.
+ * @param {CanvasImageSource} image - Source image
+ * @param {number} top - First row to read
+ * @param {number} height - Number of rows to read
+ * @returns {Object} Strip {values: Float32Array, columns, rows}
+ */
+function readLuminance(image, top, height) {
+    const canvas = createCanvas(image.width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, -top);
+    const { data } = ctx.getImageData(0, 0, image.width, height);
+
+    const stride = Math.max(1, Math.floor(image.width / SEAM_SAMPLE_COLUMNS));
+    const columns = Math.floor(image.width / stride);
+    const values = new Float32Array(columns * height);
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < columns; col++) {
+            const p = (row * image.width + col * stride) * 4;
+            values[row * columns + col] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+        }
+    }
+
+    return { values, columns, rows: height };
+}
+
+/**
+ * Mean absolute luminance difference between a band and a strip at a row offset.
+ * @param {Object} band - Strip to match
+ * @param {Object} strip - Strip to search in
+ * @param {number} rowOffset - Row in strip aligned with the first band row
+ * @returns {number} Mean absolute difference (0-255)
+ */
+function bandDifference(band, strip, rowOffset) {
+    const { values, columns, rows } = band;
+    const start = rowOffset * columns;
+    let total = 0;
+
+    for (let i = 0; i < rows * columns; i++) {
+        total += Math.abs(values[i] - strip.values[start + i]);
+    }
+
+    return total / (rows * columns);
+}
+
+function variance(values) {
+    let mean = 0;
+    for (const v of values) mean += v;
+    mean /= values.length;
+
+    let sum = 0;
+    for (const v of values) sum += (v - mean) * (v - mean);
+    return sum / values.length;
+}
+
+/**
+ * Creates a canvas, preferring OffscreenCanvas where available.
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {OffscreenCanvas|HTMLCanvasElement} The canvas
+ */
+export function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
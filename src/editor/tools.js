@@ -1,19 +1,25 @@
 /**
  * @fileoverview Drawing tool utilities for DeepScroll Canvas Editor.
- * Provides functions for applying various annotation tools to the canvas.
+ * Provides functions for drawing annotation objects onto a canvas, plus the
+ * geometry (bounds, hit-testing, moving, resizing) the select tool needs.
+ *
+ * Annotations are plain objects in stitched-image coordinates:
+ *   arrow:  {head, tail}            rect/redact/blur: {x, y, w, h}
+ *   pen:    {points: [{x, y}]}      text: {x, y, text, fontSize} (y = baseline)
+ * plus `id`, `type` and an optional `color` (and `lineWidth` for strokes).
  */
 
 import { CONSTANTS } from './constants.js';
+import { drawLayout } from './stitcher.js';
 
 /**
  * Converts screen coordinates to internal canvas buffer coordinates.
  * @param {Object} pos - The screen position {x, y}
- * @param {boolean} isBeautified - Whether beautify mode is active
+ * @param {number} padding - Beautify padding around the image (0 when off)
  * @returns {Object} Internal coordinates {x, y}
  */
-export function getInternalCoords(pos, isBeautified) {
+export function getInternalCoords(pos, padding) {
     if (!pos) return { x: 0, y: 0 };
-    const padding = isBeautified ? CONSTANTS.BEAUTIFY_PADDING : 0;
     return {
         x: pos.x - padding,
         y: pos.y - padding
@@ -40,8 +46,10 @@ export function getRectBounds(p1, p2) {
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Object} head - Arrow head position {x, y}
  * @param {Object} tail - Arrow tail position {x, y}
+ * @param {string} [color] - Stroke/fill color
+ * @param {number} [lineWidth] - Stroke width
  */
-export function drawArrow(ctx, head, tail) {
+export function drawArrow(ctx, head, tail, color = CONSTANTS.ANNOTATION_COLOR, lineWidth = CONSTANTS.LINE_WIDTH) {
     const dx = head.x - tail.x;
     const dy = head.y - tail.y;
     const len = Math.sqrt(dx * dx + dy * dy);
@@ -51,9 +59,9 @@ export function drawArrow(ctx, head, tail) {
     const angle = Math.atan2(dy, dx);
     const headlen = CONSTANTS.ARROW_HEAD_SIZE;
 
-    ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR;
-    ctx.fillStyle = CONSTANTS.ANNOTATION_COLOR;
-    ctx.lineWidth = CONSTANTS.LINE_WIDTH;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = lineWidth;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
 
@@ -77,49 +85,59 @@ export function drawArrow(ctx, head, tail) {
  * Draws a rectangle outline on the canvas context.
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Object} bounds - Rectangle bounds {x, y, w, h}
+ * @param {string} [color] - Stroke color
+ * @param {number} [lineWidth] - Stroke width
  */
-export function drawRect(ctx, bounds) {
-    ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR;
-    ctx.lineWidth = CONSTANTS.RECT_LINE_WIDTH;
+export function drawRect(ctx, bounds, color = CONSTANTS.ANNOTATION_COLOR, lineWidth = CONSTANTS.RECT_LINE_WIDTH) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
     ctx.strokeRect(bounds.x, bounds.y, bounds.w, bounds.h);
 }
 
 /**
- * Draws a pen stroke between two points.
+ * Draws a freehand pen path through a list of points.
  * @param {CanvasRenderingContext2D} ctx - The canvas context
- * @param {Object} from - Start point {x, y}
- * @param {Object} to - End point {x, y}
+ * @param {Array<Object>} points - Path points [{x, y}]
+ * @param {string} [color] - Stroke color
+ * @param {number} [lineWidth] - Stroke width
  */
-export function drawPenLine(ctx, from, to) {
+export function drawPenPath(ctx, points, color = CONSTANTS.ANNOTATION_COLOR, lineWidth = CONSTANTS.LINE_WIDTH) {
+    if (points.length === 0) return;
+
     ctx.lineJoin = 'round';
     ctx.lineCap = 'round';
-    ctx.strokeStyle = CONSTANTS.ANNOTATION_COLOR;
-    ctx.lineWidth = CONSTANTS.LINE_WIDTH;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
 
     ctx.beginPath();
-    ctx.moveTo(from.x, from.y);
-    ctx.lineTo(to.x, to.y);
+    ctx.moveTo(points[0].x, points[0].y);
+    // A single click still leaves a dot
+    if (points.length === 1) ctx.lineTo(points[0].x + 0.01, points[0].y);
+    for (const p of points.slice(1)) {
+        ctx.lineTo(p.x, p.y);
+    }
     ctx.stroke();
 }
 
 /**
- * Applies a black redaction fill to an area.
+ * Applies a solid redaction fill to an area.
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Object} bounds - Area bounds {x, y, w, h}
+ * @param {string} [color] - Fill color
  */
-export function applyRedaction(ctx, bounds) {
+export function applyRedaction(ctx, bounds, color = CONSTANTS.REDACT_COLOR) {
     if (bounds.w < CONSTANTS.MIN_SELECTION_SIZE || bounds.h < CONSTANTS.MIN_SELECTION_SIZE) return;
-    ctx.fillStyle = CONSTANTS.REDACT_COLOR;
+    ctx.fillStyle = color;
     ctx.fillRect(bounds.x, bounds.y, bounds.w, bounds.h);
 }
 
 /**
  * Applies a pixelation/blur effect to an area.
  * @param {CanvasRenderingContext2D} ctx - The canvas context
- * @param {HTMLCanvasElement} sourceCanvas - The source canvas to read from
+ * @param {Object} layout - Stitched layout (see stitcher.js) to read the unedited pixels from
  * @param {Object} bounds - Area bounds {x, y, w, h}
  */
-export function applyPixelation(ctx, sourceCanvas, bounds) {
+export function applyPixelation(ctx, layout, bounds) {
     const { x, y, w, h } = bounds;
     if (w < CONSTANTS.MIN_SELECTION_SIZE || h < CONSTANTS.MIN_SELECTION_SIZE) return;
 
@@ -132,8 +150,11 @@ export function applyPixelation(ctx, sourceCanvas, bounds) {
     offCanvas.height = sh;
     const offCtx = offCanvas.getContext('2d', { willReadFrequently: true });
 
+    // Downscale only the tiles under the area
     offCtx.imageSmoothingEnabled = false;
-    offCtx.drawImage(sourceCanvas, x, y, w, h, 0, 0, sw, sh);
+    offCtx.scale(sw / w, sh / h);
+    offCtx.translate(-x, -y);
+    drawLayout(offCtx, layout, bounds);
 
     ctx.imageSmoothingEnabled = false;
     ctx.drawImage(offCanvas, 0, 0, sw, sh, x, y, w, h);
@@ -144,10 +165,194 @@ export function applyPixelation(ctx, sourceCanvas, bounds) {
  * Draws text annotation at position.
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {string} text - The text to draw
- * @param {Object} pos - Position {x, y}
+ * @param {Object} pos - Position {x, y} of the baseline start
+ * @param {string} [color] - Fill color
+ * @param {number} [fontSize] - Font size in pixels
  */
-export function drawText(ctx, text, pos) {
-    ctx.font = 'bold 24px sans-serif';
-    ctx.fillStyle = CONSTANTS.ANNOTATION_COLOR;
+export function drawText(ctx, text, pos, color = CONSTANTS.ANNOTATION_COLOR, fontSize = CONSTANTS.FONT_SIZE) {
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
     ctx.fillText(text, pos.x, pos.y);
 }
+
+// --- Annotation Objects ---
+
+/** Annotation types whose geometry is a plain {x, y, w, h} box */
+const BOX_TYPES = ['rect', 'redact', 'blur'];
+
+let measureCtx = null;
+
+/**
+ * Creates a new annotation object with a unique id.
+ * @param {string} type - Annotation type ('arrow', 'rect', 'pen', 'text', 'redact', 'blur')
+ * @param {Object} props - Geometry and style for the type
+ * @returns {Object} The annotation
+ */
+export function createAnnotation(type, props) {
+    return { id: crypto.randomUUID(), type, ...props };
+}
+
+/**
+ * Draws a single annotation. The context must already be in image coordinates.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} annotation - The annotation to draw
+ * @param {Object} baseImage - Stitched layout of the unedited image, sampled by blur annotations
+ */
+export function drawAnnotation(ctx, annotation, baseImage) {
+    const a = annotation;
+    ctx.save();
+    switch (a.type) {
+        case 'arrow':
+            drawArrow(ctx, a.head, a.tail, a.color, a.lineWidth);
+            break;
+        case 'rect':
+            drawRect(ctx, a, a.color, a.lineWidth);
+            break;
+        case 'pen':
+            drawPenPath(ctx, a.points, a.color, a.lineWidth);
+            break;
+        case 'text':
+            drawText(ctx, a.text, a, a.color, a.fontSize);
+            break;
+        case 'redact':
+            applyRedaction(ctx, a, a.color);
+            break;
+        case 'blur':
+            applyPixelation(ctx, baseImage, a);
+            break;
+    }
+    ctx.restore();
+}
+
+/**
+ * Axis-aligned bounding box of an annotation.
+ * @param {Object} a - The annotation
+ * @returns {Object} Bounds {x, y, w, h}
+ */
+export function getAnnotationBounds(a) {
+    if (BOX_TYPES.includes(a.type)) {
+        return { x: a.x, y: a.y, w: a.w, h: a.h };
+    }
+    if (a.type === 'arrow') {
+        return getRectBounds(a.head, a.tail);
+    }
+    if (a.type === 'pen') {
+        const xs = a.points.map(p => p.x);
+        const ys = a.points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+    }
+    if (a.type === 'text') {
+        if (!measureCtx) measureCtx = document.createElement('canvas').getContext('2d');
+        const fontSize = a.fontSize || CONSTANTS.FONT_SIZE;
+        measureCtx.font = `bold ${fontSize}px sans-serif`;
+        const w = measureCtx.measureText(a.text).width;
+        return { x: a.x, y: a.y - fontSize, w, h: fontSize * 1.25 };
+    }
+    return { x: 0, y: 0, w: 0, h: 0 };
+}
+
+/**
+ * Whether a point (image coordinates) touches an annotation.
+ * @param {Object} a - The annotation
+ * @param {Object} p - Point {x, y}
+ * @param {number} tolerance - Extra slack in pixels
+ * @returns {boolean} True if the point hits the annotation
+ */
+export function hitTestAnnotation(a, p, tolerance) {
+    const lineWidth = a.lineWidth ?? CONSTANTS.LINE_WIDTH;
+    if (a.type === 'arrow') {
+        return distanceToSegment(p, a.head, a.tail) <= tolerance + lineWidth;
+    }
+    if (a.type === 'pen') {
+        if (a.points.length === 1) return Math.hypot(p.x - a.points[0].x, p.y - a.points[0].y) <= tolerance;
+        for (let i = 1; i < a.points.length; i++) {
+            if (distanceToSegment(p, a.points[i - 1], a.points[i]) <= tolerance + lineWidth) return true;
+        }
+        return false;
+    }
+    const b = getAnnotationBounds(a);
+    return p.x >= b.x - tolerance && p.x <= b.x + b.w + tolerance &&
+        p.y >= b.y - tolerance && p.y <= b.y + b.h + tolerance;
+}
+
+/**
+ * Resize handles for an annotation: arrow endpoints, or bounding-box corners.
+ * @param {Object} a - The annotation
+ * @returns {Array<Object>} Handles [{id, x, y}]
+ */
+export function getAnnotationHandles(a) {
+    if (a.type === 'arrow') {
+        return [{ id: 'head', ...a.head }, { id: 'tail', ...a.tail }];
+    }
+    const b = getAnnotationBounds(a);
+    return [
+        { id: 'nw', x: b.x, y: b.y },
+        { id: 'ne', x: b.x + b.w, y: b.y },
+        { id: 'sw', x: b.x, y: b.y + b.h },
+        { id: 'se', x: b.x + b.w, y: b.y + b.h }
+    ];
+}
+
+/**
+ * Returns a copy of an annotation translated by (dx, dy).
+ * @param {Object} a - The annotation
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} The moved annotation
+ */
+export function moveAnnotation(a, dx, dy) {
+    const shift = (p) => ({ x: p.x + dx, y: p.y + dy });
+    if (a.type === 'arrow') return { ...a, head: shift(a.head), tail: shift(a.tail) };
+    if (a.type === 'pen') return { ...a, points: a.points.map(shift) };
+    return { ...a, x: a.x + dx, y: a.y + dy };
+}
+
+/**
+ * Returns a copy of an annotation with one handle dragged to a point.
+ * Box corners keep the opposite corner fixed; pen paths and text scale to fit.
+ * @param {Object} a - The annotation as it was when the drag started
+ * @param {string} handle - Handle id from getAnnotationHandles
+ * @param {Object} p - New handle position {x, y}
+ * @returns {Object} The resized annotation
+ */
+export function resizeAnnotation(a, handle, p) {
+    if (a.type === 'arrow') {
+        return { ...a, [handle]: { x: p.x, y: p.y } };
+    }
+
+    const b = getAnnotationBounds(a);
+    const fixed = {
+        x: handle.includes('w') ? b.x + b.w : b.x,
+        y: handle.includes('n') ? b.y + b.h : b.y
+    };
+    const next = getRectBounds(fixed, p);
+
+    if (BOX_TYPES.includes(a.type)) {
+        return { ...a, ...next };
+    }
+    if (a.type === 'pen') {
+        const sx = b.w ? next.w / b.w : 1;
+        const sy = b.h ? next.h / b.h : 1;
+        return {
+            ...a,
+            points: a.points.map(pt => ({ x: next.x + (pt.x - b.x) * sx, y: next.y + (pt.y - b.y) * sy }))
+        };
+    }
+    if (a.type === 'text') {
+        const fontSize = Math.max(8, (a.fontSize || CONSTANTS.FONT_SIZE) * (next.h / b.h || 1));
+        return { ...a, fontSize, x: next.x, y: next.y + fontSize };
+    }
+    return a;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Capture history gallery.
+ * Lists past captures stored in IndexedDB with search, reopen, re-download and delete.
+ * @module History
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Search, ExternalLink, Download, Trash2, ImageOff } from 'lucide-react';
+import { getAllCaptures, deleteCapture } from '../utils/db';
+import { getEditorUrl } from '../utils/editor';
+import { getSettings } from '../utils/settings';
+import { getDownloadPath } from '../utils/filename';
+import { formatBytes } from '../utils/format';
+import { encodeCapturePng } from '../editor/export/capture.js';
+import logo from '../assets/logo.svg';
+
+/**
+ * History page listing every completed capture, newest first.
+ * @component
+ * @returns {JSX.Element} The History page
+ */
+export default function History() {
+    const [captures, setCaptures] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [query, setQuery] = useState('');
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        loadCaptures();
+    }, []);
+
+    async function loadCaptures() {
+        try {
+            const all = await getAllCaptures();
+            setCaptures(all.filter(c => c.status === 'complete'));
+        } catch (err) {
+            console.error("Failed to load captures:", err);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const filtered = useMemo(() => {
+        const q = query.trim().toLowerCase();
+        if (!q) return captures;
+        return captures.filter(c =>
+            (c.meta?.title || '').toLowerCase().includes(q) ||
+            (c.meta?.url || '').toLowerCase().includes(q)
+        );
+    }, [captures, query]);
+
+    // --- Actions ---
+    const handleOpen = (capture) => {
+        chrome.tabs.create({ url: getEditorUrl(capture.id) });
+    };
+
+    const handleDownload = async (capture) => {
+        setBusyId(capture.id);
+        try {
+            // With the saved edits (redactions, blur, crop) applied, as the editor exports it
+            const settings = await getSettings();
+            const png = await encodeCapturePng(capture, settings);
+            const url = URL.createObjectURL(png);
+            chrome.downloads.download({
+                url,
+                filename: getDownloadPath(settings, {
+                    extension: 'png',
+                    url: capture.meta?.url,
+                    title: capture.meta?.title,
+                    capturedAt: capture.meta?.capturedAt || capture.createdAt
+                }),
+                saveAs: !settings.autoSave
+            }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Download failed:", chrome.runtime.lastError);
+                }
+                URL.revokeObjectURL(url);
+            });
+        } catch (err) {
+            console.error("Re-download failed:", err);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (capture) => {
+        if (!window.confirm(`Delete the capture of "${capture.meta?.title || capture.meta?.url}"?`)) return;
+        try {
+            await deleteCapture(capture.id);
+            setCaptures(prev => prev.filter(c => c.id !== capture.id));
+        } catch (err) {
+            console.error("Delete failed:", err);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-neutral-950 text-white font-sans">
+            <header className="sticky top-0 z-10 bg-neutral-950/80 backdrop-blur-md border-b border-white/10">
+                <div className="max-w-6xl mx-auto px-6 py-4 flex items-center gap-4">
+                    <img src={logo} alt="" className="w-8 h-8" />
+                    <h1 className="text-lg font-semibold">Capture History</h1>
+                    <div className="ml-auto relative w-72">
+                        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-neutral-500" />
+                        <input
+                            type="search"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="Search title or URL"
+                            className="w-full bg-white/5 border border-white/10 rounded-full pl-9 pr-4 py-2 text-sm outline-none focus:border-blue-500"
+                        />
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-6xl mx-auto px-6 py-8">
+                {loading ? (
+                    <div className="text-neutral-400 animate-pulse mt-20 text-center">Loading History...</div>
+                ) : filtered.length > 0 ? (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                        {filtered.map(capture => (
+                            <CaptureCard
+                                key={capture.id}
+                                capture={capture}
+                                busy={busyId === capture.id}
+                                onOpen={() => handleOpen(capture)}
+                                onDownload={() => handleDownload(capture)}
+                                onDelete={() => handleDelete(capture)}
+                            />
+                        ))}
+                    </div>
+                ) : (
+                    <div className="text-neutral-500 mt-20 text-center">
+                        {captures.length > 0 ? 'No captures match your search.' : 'No captures yet.'}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
+
+function CaptureCard({ capture, busy, onOpen, onDownload, onDelete }) {
+    const { meta = {} } = capture;
+    const date = new Date(meta.capturedAt || capture.createdAt);
+
+    return (
+        <div className="group bg-white/5 border border-white/10 rounded-xl overflow-hidden flex flex-col">
+            <button onClick={onOpen} className="block h-48 bg-neutral-900 overflow-hidden">
+                {capture.thumbnail ? (
+                    <img src={capture.thumbnail} alt="" className="w-full h-full object-cover object-top transition-transform duration-300 group-hover:scale-105" />
+                ) : (
+                    <div className="w-full h-full flex items-center justify-center text-neutral-600">
+                        <ImageOff size={32} />
+                    </div>
+                )}
+            </button>
+            <div className="p-4 flex flex-col gap-1 flex-1">
+                <div className="font-medium text-sm truncate" title={meta.title}>{meta.title || 'Untitled page'}</div>
+                <div className="text-xs text-neutral-500 truncate" title={meta.url}>{meta.url}</div>
+                <div className="text-xs text-neutral-500 mt-1">
+                    {date.toLocaleDateString()} {date.toLocaleTimeString()} · {formatBytes(capture.bytes)}
+                </div>
+                <div className="flex items-center gap-2 mt-3">
+                    <CardButton icon={<ExternalLink size={14} />} label="Open" onClick={onOpen} />
+                    <CardButton icon={<Download size={14} />} label={busy ? 'Saving...' : 'Download'} onClick={onDownload} disabled={busy} />
+                    <CardButton icon={<Trash2 size={14} />} label="Delete" onClick={onDelete} danger />
+                </div>
+            </div>
+        </div>
+    );
+}
+
+CaptureCard.propTypes = {
+    capture: PropTypes.object.isRequired,
+    busy: PropTypes.bool,
+    onOpen: PropTypes.func.isRequired,
+    onDownload: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+};
+
+function CardButton({ icon, label, onClick, disabled, danger }) {
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled}
+            className={`
+        flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-medium transition-colors
+        ${danger
+                    ? 'text-neutral-400 hover:text-red-300 hover:bg-red-500/10 ml-auto'
+                    : 'text-neutral-300 bg-white/5 hover:bg-white/10'}
+        ${disabled ? 'opacity-50 cursor-wait' : ''}
+      `}
+        >
+            {icon}
+            {label}
+        </button>
+    );
+}
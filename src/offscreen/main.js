@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Offscreen document for save-after-capture.
+ * The service worker can't hand large files to chrome.downloads: it has no
+ * URL.createObjectURL, and a data URL of a full-page PNG copies it several
+ * times over and can exceed URL limits. This page encodes the capture and
+ * returns a blob URL the worker downloads; the worker closes the page (which
+ * revokes the URL) once the download has finished.
+ *
+ * Offscreen documents only get chrome.runtime, so settings arrive with the request.
+ */
+
+import { getCapture } from '../utils/db.js';
+import { encodeCapturePng } from '../editor/export/capture.js';
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen') return;
+
+    if (request.type === 'ENCODE_CAPTURE') {
+        encodeCapture(request.captureId, request.settings)
+            .then((url) => sendResponse({ success: true, url }))
+            .catch((err) => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (request.type === 'REVOKE_URL') {
+        URL.revokeObjectURL(request.url);
+    }
+});
+
+async function encodeCapture(captureId, settings) {
+    const capture = await getCapture(captureId);
+    if (!capture) throw new Error(`Capture ${captureId} not found`);
+    return URL.createObjectURL(await encodeCapturePng(capture, settings));
+}
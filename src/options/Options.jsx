@@ -0,0 +1,380 @@
+/**
+ * @fileoverview DeepScroll settings page.
+ * Edits the settings in chrome.storage (capture limits, timing, export and
+ * annotation defaults, beautify look, storage) and shows the keyboard shortcut
+ * bound to each capture command. Chrome owns the bindings themselves; they are
+ * changed on its extension shortcuts page.
+ * @module Options
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Camera, FileDown, HardDrive, Keyboard, Pencil, RotateCcw, Sparkles, Timer } from 'lucide-react';
+import { DEFAULT_SETTINGS, SETTING_LIMITS, getSettings, resetSettings, updateSettings } from '../utils/settings';
+import { FILENAME_PLACEHOLDERS, getDownloadPath } from '../utils/filename';
+import { CONSTANTS, BEAUTIFY_PRESETS } from '../editor/constants';
+import { FORMATS } from '../editor/ExportDialog';
+import logo from '../assets/logo.svg';
+
+/** Where Chrome lets users rebind extension commands */
+const SHORTCUTS_URL = 'chrome://extensions/shortcuts';
+
+/**
+ * Settings page.
+ * @component
+ * @returns {JSX.Element} The Options page
+ */
+export default function Options() {
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [commands, setCommands] = useState([]);
+
+    useEffect(() => {
+        getSettings().then(setSettings).catch(err => console.error("Failed to load settings:", err));
+        loadCommands();
+
+        // Bindings change on Chrome's own page; refresh when the user comes back
+        window.addEventListener('focus', loadCommands);
+        return () => window.removeEventListener('focus', loadCommands);
+    }, []);
+
+    async function loadCommands() {
+        try {
+            setCommands(await chrome.commands.getAll());
+        } catch (err) {
+            console.error("Failed to read commands:", err);
+        }
+    }
+
+    async function save(patch) {
+        setSettings(prev => ({ ...prev, ...patch }));
+        try {
+            setSettings(await updateSettings(patch));
+        } catch (err) {
+            console.error("Failed to save settings:", err);
+        }
+    }
+
+    async function handleReset() {
+        if (!confirm('Reset all settings to their defaults?')) return;
+        setSettings(await resetSettings());
+    }
+
+    /** Props binding a NumberField to a numeric setting */
+    const numberProps = (key) => ({
+        value: settings[key],
+        min: SETTING_LIMITS[key][0],
+        max: SETTING_LIMITS[key][1],
+        onChange: (value) => save({ [key]: value }),
+    });
+
+    return (
+        <div className="min-h-screen bg-neutral-950 text-white font-sans">
+            <header className="sticky top-0 z-10 bg-neutral-950/80 backdrop-blur-md border-b border-white/10">
+                <div className="max-w-3xl mx-auto px-6 py-4 flex items-center gap-4">
+                    <img src={logo} alt="" className="w-8 h-8" />
+                    <h1 className="text-lg font-semibold">Settings</h1>
+                    <button
+                        onClick={handleReset}
+                        className="ml-auto flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-medium text-neutral-300 bg-white/5 hover:bg-white/10"
+                    >
+                        <RotateCcw size={12} /> Reset to defaults
+                    </button>
+                </div>
+            </header>
+
+            <main className="max-w-3xl mx-auto px-6 py-8 flex flex-col gap-8">
+                <Section icon={<Camera size={16} />} title="Capture">
+                    <Field label="Maximum slices" hint="A capture stops after this many screenshots.">
+                        <NumberField {...numberProps('maxSlices')} />
+                    </Field>
+                    <Field label="Maximum page growth" hint="Stop infinite-scroll pages once they grow this many times their height.">
+                        <NumberField {...numberProps('maxHeightGrowth')} step={0.5} suffix="×" />
+                    </Field>
+                    <Field label="Slice overlap" hint="Shared rows between screenshots, used to align them.">
+                        <NumberField {...numberProps('sliceOverlap')} suffix="px" />
+                    </Field>
+                </Section>
+
+                <Section icon={<Timer size={16} />} title="Timing">
+                    <Field label="Settle time" hint="A page counts as rendered after this long without changes.">
+                        <NumberField {...numberProps('renderQuietPeriod')} step={50} suffix="ms" />
+                    </Field>
+                    <Field label="Maximum render wait" hint="Never wait longer than this after scrolling.">
+                        <NumberField {...numberProps('renderMaxWait')} step={100} suffix="ms" />
+                    </Field>
+                    <Field label="Capture interval" hint="Time between screenshots; Chrome allows at most two per second.">
+                        <NumberField {...numberProps('captureInterval')} step={10} suffix="ms" />
+                    </Field>
+                </Section>
+
+                <Section icon={<FileDown size={16} />} title="Export">
+                    <Field label="Default format">
+                        <select
+                            value={settings.exportFormat}
+                            onChange={(e) => save({ exportFormat: e.target.value })}
+                            className={INPUT_CLASS}
+                        >
+                            {FORMATS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                        </select>
+                    </Field>
+                    <Field label="JPEG/WebP quality">
+                        <NumberField {...numberProps('exportQuality')} step={0.05} />
+                    </Field>
+                    <Field
+                        label="Filename"
+                        hint={`Placeholders: ${FILENAME_PLACEHOLDERS.map(key => `{${key}}`).join(' ')}`}
+                    >
+                        <TextField
+                            value={settings.filenameTemplate}
+                            onChange={(value) => save({ filenameTemplate: value || DEFAULT_SETTINGS.filenameTemplate })}
+                        />
+                    </Field>
+                    <Field label="Folder" hint="Subfolder of Downloads; leave empty to save into Downloads itself.">
+                        <TextField
+                            value={settings.downloadFolder}
+                            placeholder="DeepScroll"
+                            onChange={(value) => save({ downloadFolder: value })}
+                        />
+                    </Field>
+                    <p className="pb-3 text-xs text-neutral-500">
+                        Saves as <span className="font-mono text-neutral-300">{getDownloadPath(settings, FILENAME_EXAMPLE)}</span>
+                    </p>
+                    <Field label="Save without asking" hint="Skip the Save As dialog and save straight to the folder above.">
+                        <Toggle checked={settings.autoSave} onChange={(value) => save({ autoSave: value })} />
+                    </Field>
+                    <Field label="Save right after capture" hint="Download the capture as PNG instead of opening the editor. It stays in History for editing.">
+                        <Toggle checked={settings.saveAfterCapture} onChange={(value) => save({ saveAfterCapture: value })} />
+                    </Field>
+                </Section>
+
+                <Section icon={<Pencil size={16} />} title="Annotations">
+                    <Field label="Color">
+                        <div className="flex gap-2">
+                            {CONSTANTS.ANNOTATION_PALETTE.map(color => (
+                                <button
+                                    key={color}
+                                    onClick={() => save({ annotationColor: color })}
+                                    title={color}
+                                    className={`w-6 h-6 rounded-full border-2 ${settings.annotationColor === color ? 'border-white' : 'border-white/20'}`}
+                                    style={{ backgroundColor: color }}
+                                />
+                            ))}
+                        </div>
+                    </Field>
+                    <Field label="Line width" hint="Arrows and pen strokes.">
+                        <NumberField {...numberProps('lineWidth')} suffix="px" />
+                    </Field>
+                    <Field label="Rectangle line width">
+                        <NumberField {...numberProps('rectLineWidth')} suffix="px" />
+                    </Field>
+                    <Field label="Text size">
+                        <NumberField {...numberProps('fontSize')} suffix="px" />
+                    </Field>
+                </Section>
+
+                <Section icon={<Sparkles size={16} />} title="Beautify">
+                    <Field label="Background">
+                        <div className="flex gap-2">
+                            {Object.entries(BEAUTIFY_PRESETS).map(([key, preset]) => (
+                                <button
+                                    key={key}
+                                    onClick={() => save({ beautifyPreset: key })}
+                                    title={preset.label}
+                                    className={`w-10 h-6 rounded-md border-2 ${settings.beautifyPreset === key ? 'border-white' : 'border-white/20'}`}
+                                    style={{ background: `linear-gradient(135deg, ${preset.stops.join(', ')})` }}
+                                />
+                            ))}
+                        </div>
+                    </Field>
+                    <Field label="Padding">
+                        <NumberField {...numberProps('beautifyPadding')} step={10} suffix="px" />
+                    </Field>
+                </Section>
+
+                <Section icon={<HardDrive size={16} />} title="Storage">
+                    <Field label="Keep captures for">
+                        <NumberField {...numberProps('retentionDays')} suffix="days" />
+                    </Field>
+                    <Field label="Storage budget" hint="Oldest captures are removed beyond this size.">
+                        <NumberField {...numberProps('storageBudgetMB')} step={50} suffix="MB" />
+                    </Field>
+                </Section>
+
+                <Section
+                    icon={<Keyboard size={16} />}
+                    title="Keyboard shortcuts"
+                    action={
+                        <button
+                            onClick={() => chrome.tabs.create({ url: SHORTCUTS_URL })}
+                            className="px-3 py-1.5 rounded-full text-xs font-medium text-neutral-300 bg-white/5 hover:bg-white/10"
+                        >
+                            Change shortcuts
+                        </button>
+                    }
+                >
+                    <ul className="divide-y divide-white/5">
+                        {commands.map(command => (
+                            <li key={command.name} className="flex items-center py-3 text-sm">
+                                <span>{describeCommand(command)}</span>
+                                {command.shortcut ? (
+                                    <kbd className="ml-auto px-2 py-1 rounded-md bg-white/10 border border-white/10 text-xs font-mono">
+                                        {command.shortcut}
+                                    </kbd>
+                                ) : (
+                                    <span className="ml-auto text-xs text-neutral-500">Not set</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </Section>
+            </main>
+        </div>
+    );
+}
+
+/** Capture the filename preview is shown for */
+const FILENAME_EXAMPLE = {
+    extension: 'png',
+    url: 'https://example.com/blog/post',
+    title: 'Example Post',
+    capturedAt: Date.now(),
+};
+
+const INPUT_CLASS = 'bg-neutral-900 border border-white/10 rounded-md px-2 py-1 text-sm text-white focus:outline-none focus:border-blue-500';
+
+/** `_execute_action` has no description of its own */
+function describeCommand(command) {
+    if (command.name === '_execute_action') return 'Open the DeepScroll popup';
+    return command.description || command.name;
+}
+
+function Section({ icon, title, action, children }) {
+    return (
+        <section className="bg-white/5 border border-white/10 rounded-xl p-5">
+            <div className="flex items-center gap-2 mb-3">
+                <span className="text-neutral-400">{icon}</span>
+                <h2 className="font-semibold text-sm">{title}</h2>
+                {action && <div className="ml-auto">{action}</div>}
+            </div>
+            <div>{children}</div>
+        </section>
+    );
+}
+
+Section.propTypes = {
+    icon: PropTypes.node,
+    title: PropTypes.string.isRequired,
+    action: PropTypes.node,
+    children: PropTypes.node,
+};
+
+function Field({ label, hint, children }) {
+    return (
+        <div className="flex items-center gap-4 py-3 border-t border-white/5 first:border-t-0">
+            <div className="flex-1">
+                <div className="text-sm">{label}</div>
+                {hint && <div className="text-xs text-neutral-500 mt-0.5">{hint}</div>}
+            </div>
+            {children}
+        </div>
+    );
+}
+
+Field.propTypes = {
+    label: PropTypes.string.isRequired,
+    hint: PropTypes.string,
+    children: PropTypes.node,
+};
+
+/**
+ * Number input that saves on blur or Enter, so partial input isn't clamped while typing.
+ */
+function NumberField({ value, min, max, step = 1, suffix, onChange }) {
+    const [draft, setDraft] = useState(String(value));
+
+    useEffect(() => setDraft(String(value)), [value]);
+
+    const commit = () => {
+        const number = Number(draft);
+        if (draft === '' || !Number.isFinite(number)) {
+            setDraft(String(value));
+            return;
+        }
+        const clamped = Math.min(max, Math.max(min, number));
+        setDraft(String(clamped));
+        if (clamped !== value) onChange(clamped);
+    };
+
+    return (
+        <div className="flex items-center gap-2">
+            <input
+                type="number"
+                value={draft}
+                min={min}
+                max={max}
+                step={step}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => e.key === 'Enter' && commit()}
+                className={`${INPUT_CLASS} w-24 text-right`}
+            />
+            {suffix && <span className="text-xs text-neutral-500 w-8">{suffix}</span>}
+        </div>
+    );
+}
+
+NumberField.propTypes = {
+    value: PropTypes.number.isRequired,
+    min: PropTypes.number.isRequired,
+    max: PropTypes.number.isRequired,
+    step: PropTypes.number,
+    suffix: PropTypes.string,
+    onChange: PropTypes.func.isRequired,
+};
+
+/** Text input that saves on blur or Enter */
+function TextField({ value, placeholder, onChange }) {
+    const [draft, setDraft] = useState(value);
+
+    useEffect(() => setDraft(value), [value]);
+
+    const commit = () => {
+        if (draft !== value) onChange(draft.trim());
+    };
+
+    return (
+        <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === 'Enter' && commit()}
+            placeholder={placeholder}
+            className={`${INPUT_CLASS} w-64`}
+        />
+    );
+}
+
+TextField.propTypes = {
+    value: PropTypes.string.isRequired,
+    placeholder: PropTypes.string,
+    onChange: PropTypes.func.isRequired,
+};
+
+function Toggle({ checked, onChange }) {
+    return (
+        <button
+            role="switch"
+            aria-checked={checked}
+            onClick={() => onChange(!checked)}
+            className={`relative w-9 h-5 rounded-full transition-colors ${checked ? 'bg-blue-600' : 'bg-white/15'}`}
+        >
+            <span className={`absolute top-0.5 left-0.5 w-4 h-4 rounded-full bg-white transition-transform ${checked ? 'translate-x-4' : ''}`} />
+        </button>
+    );
+}
+
+Toggle.propTypes = {
+    checked: PropTypes.bool.isRequired,
+    onChange: PropTypes.func.isRequired,
+};
@@ -1,19 +1,156 @@
-document.getElementById('captureBtn').addEventListener('click', async () => {
-    try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tab) {
-            chrome.runtime.sendMessage({ type: "TRIGGER_CAPTURE_FLOW", tabId: tab.id }, (response) => {
-                if (chrome.runtime.lastError) {
-                    console.error("Popup Send Error:", chrome.runtime.lastError);
-                } else {
-                    console.log("Trigger Sent", response);
-                }
-                setTimeout(() => window.close(), 100);
-            });
-        } else {
-            console.error("No active tab found");
+import { getSettings, updateSettings } from './utils/settings.js';
+
+function triggerCapture(mode) {
+    return async () => {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tab) {
+                chrome.runtime.sendMessage({ type: "TRIGGER_CAPTURE_FLOW", tabId: tab.id, tabUrl: tab.url, mode }, (response) => {
+                    if (chrome.runtime.lastError) {
+                        console.error("Popup Send Error:", chrome.runtime.lastError);
+                    } else {
+                        console.log("Trigger Sent", response);
+                    }
+                    setTimeout(() => window.close(), 100);
+                });
+            } else {
+                console.error("No active tab found");
+            }
+        } catch (e) {
+            console.error("Popup Error:", e);
         }
-    } catch (e) {
-        console.error("Popup Error:", e);
+    };
+}
+
+document.getElementById('captureBtn').addEventListener('click', triggerCapture('page'));
+document.getElementById('elementBtn').addEventListener('click', triggerCapture('element'));
+document.getElementById('visibleBtn').addEventListener('click', triggerCapture('visible'));
+document.getElementById('areaBtn').addEventListener('click', triggerCapture('area'));
+
+document.getElementById('historyBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("src/history/index.html") });
+    window.close();
+});
+
+document.getElementById('settingsBtn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+    window.close();
+});
+
+// Auto-redact settings (read by the content script at the start of each capture)
+const autoRedactToggle = document.getElementById('autoRedactToggle');
+const patternBoxes = document.querySelectorAll('[data-pattern]');
+const customPatterns = document.getElementById('customPatterns');
+
+getSettings().then((settings) => {
+    autoRedactToggle.checked = settings.autoRedact;
+    for (const box of patternBoxes) box.checked = settings.redactPatterns.includes(box.dataset.pattern);
+    customPatterns.value = settings.customRedactPatterns.join('\n');
+});
+
+autoRedactToggle.addEventListener('change', () => {
+    updateSettings({ autoRedact: autoRedactToggle.checked });
+});
+
+for (const box of patternBoxes) {
+    box.addEventListener('change', () => {
+        const redactPatterns = [...patternBoxes].filter(b => b.checked).map(b => b.dataset.pattern);
+        updateSettings({ redactPatterns });
+    });
+}
+
+customPatterns.addEventListener('change', () => {
+    const lines = customPatterns.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalid = lines.filter(line => {
+        try {
+            new RegExp(line);
+            return false;
+        } catch {
+            return true;
+        }
+    });
+    customPatterns.setCustomValidity(invalid.length ? `Invalid pattern: ${invalid[0]}` : '');
+    customPatterns.reportValidity();
+    updateSettings({ customRedactPatterns: lines.filter(line => !invalid.includes(line)) });
+});
+
+// Per-site masking (CSS selectors covered while each slice is captured)
+const maskSelectors = document.getElementById('maskSelectors');
+const maskStyleRadios = document.querySelectorAll('input[name="maskStyle"]');
+
+async function getActiveHostname() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    try {
+        return tab?.url ? new URL(tab.url).hostname : null;
+    } catch {
+        return null;
+    }
+}
+
+Promise.all([getSettings(), getActiveHostname()]).then(([settings, hostname]) => {
+    for (const radio of maskStyleRadios) radio.checked = radio.value === settings.maskStyle;
+    if (!hostname) {
+        document.getElementById('maskDetails').hidden = true;
+        return;
     }
+    document.getElementById('maskSite').textContent = hostname;
+    maskSelectors.value = (settings.maskSelectors[hostname] || []).join('\n');
+
+    maskSelectors.addEventListener('change', async () => {
+        const lines = maskSelectors.value.split('\n').map(line => line.trim()).filter(Boolean);
+        const invalid = lines.filter(line => {
+            try {
+                document.createDocumentFragment().querySelector(line);
+                return false;
+            } catch {
+                return true;
+            }
+        });
+        maskSelectors.setCustomValidity(invalid.length ? `Invalid selector: ${invalid[0]}` : '');
+        maskSelectors.reportValidity();
+
+        const { maskSelectors: all } = await getSettings();
+        const valid = lines.filter(line => !invalid.includes(line));
+        const next = { ...all, [hostname]: valid };
+        if (valid.length === 0) delete next[hostname];
+        updateSettings({ maskSelectors: next });
+    });
+});
+
+for (const radio of maskStyleRadios) {
+    radio.addEventListener('change', () => updateSettings({ maskStyle: radio.value }));
+}
+
+// Fixed/sticky element handling
+const fixedElementMode = document.getElementById('fixedElementMode');
+getSettings().then((settings) => {
+    fixedElementMode.value = settings.fixedElementMode;
+});
+fixedElementMode.addEventListener('change', () => {
+    updateSettings({ fixedElementMode: fixedElementMode.value });
+});
+
+// Overlay cleanup, with a per-site override
+const dismissOverlaysToggle = document.getElementById('dismissOverlaysToggle');
+const overlaySiteRule = document.getElementById('overlaySiteRule');
+
+Promise.all([getSettings(), getActiveHostname()]).then(([settings, hostname]) => {
+    dismissOverlaysToggle.checked = settings.dismissOverlays;
+    if (!hostname) {
+        document.getElementById('overlaySiteRow').hidden = true;
+        return;
+    }
+    document.getElementById('overlaySite').textContent = hostname;
+    overlaySiteRule.value = settings.overlaySiteRules[hostname] || '';
+
+    overlaySiteRule.addEventListener('change', async () => {
+        const { overlaySiteRules } = await getSettings();
+        const next = { ...overlaySiteRules, [hostname]: overlaySiteRule.value };
+        if (!overlaySiteRule.value) delete next[hostname];
+        updateSettings({ overlaySiteRules: next });
+    });
+});
+
+dismissOverlaysToggle.addEventListener('change', () => {
+    updateSettings({ dismissOverlays: dismissOverlaysToggle.checked });
 });
@@ -0,0 +1,11 @@
+// Blob helpers usable from the service worker as well as extension pages.
+
+// Reads a blob into a data URL (service workers have no URL.createObjectURL)
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
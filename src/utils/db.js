@@ -1,21 +1,36 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'deepscroll-db';
+const DB_VERSION = 2;
 const STORE_NAME = 'slices';
+const CAPTURE_STORE = 'captures';
 
+// v1: `slices` only. v2: `captures` groups slices (via slice.captureId) into sessions.
 export async function initDB() {
-    return openDB(DB_NAME, 1, {
-        upgrade(db) {
+    return openDB(DB_NAME, DB_VERSION, {
+        upgrade(db, oldVersion, newVersion, transaction) {
             if (!db.objectStoreNames.contains(STORE_NAME)) {
                 db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
             }
+            const slices = transaction.objectStore(STORE_NAME);
+            if (!slices.indexNames.contains('captureId')) {
+                slices.createIndex('captureId', 'captureId');
+            }
+
+            if (!db.objectStoreNames.contains(CAPTURE_STORE)) {
+                const captures = db.createObjectStore(CAPTURE_STORE, { keyPath: 'id', autoIncrement: true });
+                captures.createIndex('createdAt', 'createdAt');
+            }
         },
     });
 }
 
-export async function saveSlice(dataUrl) {
+// --- Slices ---
+
+// `text`, `links` and `sensitive` hold the slice's DOM layers (see sections F-H of content.js)
+export async function saveSlice({ captureId, dataUrl, x = 0, y = 0, text = [], links = [], sensitive = [] }) {
     const db = await initDB();
-    const id = await db.put(STORE_NAME, { dataUrl, createdAt: Date.now() });
+    const id = await db.put(STORE_NAME, { captureId, dataUrl, x, y, text, links, sensitive, createdAt: Date.now() });
     return id;
 }
 
@@ -33,3 +48,149 @@ export async function clearSlices() {
     const db = await initDB();
     return db.clear(STORE_NAME);
 }
+
+// --- Captures ---
+// A capture is one session: page metadata plus the ordered IDs of its slices.
+// status is 'capturing' until the content script hands off to the editor.
+
+export async function createCapture(meta) {
+    const db = await initDB();
+    return db.put(CAPTURE_STORE, {
+        status: 'capturing',
+        meta,
+        sliceIds: [],
+        bytes: 0,
+        createdAt: Date.now()
+    });
+}
+
+export async function getCapture(id) {
+    const db = await initDB();
+    return db.get(CAPTURE_STORE, id);
+}
+
+// Slices of a capture, in capture order (missing ones are skipped)
+export async function getCaptureSlices(capture) {
+    const db = await initDB();
+    const slices = await Promise.all(capture.sliceIds.map((id) => db.get(STORE_NAME, id)));
+    return slices.filter(Boolean);
+}
+
+// Newest first
+export async function getAllCaptures() {
+    const db = await initDB();
+    const captures = await db.getAllFromIndex(CAPTURE_STORE, 'createdAt');
+    return captures.reverse();
+}
+
+// Marks a capture complete and records its slices and approximate size
+export async function finalizeCapture(id, { sliceIds, meta }) {
+    const db = await initDB();
+    const capture = await db.get(CAPTURE_STORE, id);
+    if (!capture) return null;
+
+    let bytes = 0;
+    for (const sliceId of sliceIds) {
+        const slice = await db.get(STORE_NAME, sliceId);
+        if (slice) bytes += slice.dataUrl.length;
+    }
+
+    const updated = {
+        ...capture,
+        status: 'complete',
+        sliceIds,
+        bytes,
+        meta: { ...capture.meta, ...meta },
+        completedAt: Date.now()
+    };
+    await db.put(CAPTURE_STORE, updated);
+    return updated;
+}
+
+// Shallow-merges fields into a capture record
+export async function updateCapture(id, patch) {
+    const db = await initDB();
+    const capture = await db.get(CAPTURE_STORE, id);
+    if (!capture) return null;
+    const updated = { ...capture, ...patch };
+    await db.put(CAPTURE_STORE, updated);
+    return updated;
+}
+
+// Deletes a capture together with all of its slices
+export async function deleteCapture(id) {
+    const db = await initDB();
+    const tx = db.transaction([STORE_NAME, CAPTURE_STORE], 'readwrite');
+    const sliceIds = await tx.objectStore(STORE_NAME).index('captureId').getAllKeys(id);
+    for (const sliceId of sliceIds) {
+        tx.objectStore(STORE_NAME).delete(sliceId);
+    }
+    tx.objectStore(CAPTURE_STORE).delete(id);
+    await tx.done;
+}
+
+// --- Garbage Collection ---
+
+/**
+ * Removes captures that are too old, over the storage budget (oldest first),
+ * or abandoned mid-capture, plus any slice that no longer belongs to a capture.
+ * @param {Object} options
+ * @param {number} options.maxAgeMs - Completed captures older than this are deleted
+ * @param {number} options.maxBytes - Total size budget for completed captures
+ * @param {number} options.staleMs - Unfinished captures older than this count as aborted
+ * @param {Array<number>} [options.keep] - Capture IDs that must survive the size budget
+ * @returns {Promise<Object>} Counts of deleted {captures, slices}
+ */
+export async function collectGarbage({ maxAgeMs, maxBytes, staleMs, keep = [] }) {
+    const db = await initDB();
+    const now = Date.now();
+    const captures = await db.getAllFromIndex(CAPTURE_STORE, 'createdAt'); // Oldest first
+    const doomed = new Set();
+
+    for (const capture of captures) {
+        const age = now - capture.createdAt;
+        const limit = capture.status === 'complete' ? maxAgeMs : staleMs;
+        if (age > limit) doomed.add(capture.id);
+    }
+
+    // Size budget: keep the newest captures that fit
+    let total = 0;
+    for (const capture of [...captures].reverse()) {
+        if (doomed.has(capture.id) || capture.status !== 'complete') continue;
+        total += capture.bytes || 0;
+        if (total > maxBytes && !keep.includes(capture.id)) doomed.add(capture.id);
+    }
+
+    for (const id of doomed) {
+        await deleteCapture(id);
+    }
+
+    // Orphans: slices from before sessions existed, or whose capture is gone.
+    // Live capture IDs are re-read in the same transaction that deletes slices:
+    // a capture started since the snapshot above must keep its new slices.
+    const tx = db.transaction([STORE_NAME, CAPTURE_STORE], 'readwrite');
+    const live = new Set(await tx.objectStore(CAPTURE_STORE).getAllKeys());
+    const sliceStore = tx.objectStore(STORE_NAME);
+    const owned = new Set();
+    let orphans = 0;
+
+    let cursor = await sliceStore.index('captureId').openKeyCursor();
+    while (cursor) {
+        owned.add(cursor.primaryKey);
+        if (!live.has(cursor.key)) {
+            sliceStore.delete(cursor.primaryKey);
+            orphans++;
+        }
+        cursor = await cursor.continue();
+    }
+
+    for (const sliceId of await sliceStore.getAllKeys()) {
+        if (!owned.has(sliceId)) {
+            sliceStore.delete(sliceId);
+            orphans++;
+        }
+    }
+    await tx.done;
+
+    return { captures: doomed.size, slices: orphans };
+}
@@ -0,0 +1,11 @@
+// Editor tabs are addressed by capture session ID; everything else lives in IndexedDB.
+
+export function getEditorUrl(captureId) {
+    return chrome.runtime.getURL("src/editor/index.html") + `?capture=${encodeURIComponent(captureId)}`;
+}
+
+// Returns the capture ID the current editor tab was opened for, or null
+export function getCaptureIdFromLocation(location = window.location) {
+    const id = Number(new URLSearchParams(location.search).get('capture'));
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
@@ -0,0 +1,63 @@
+// Download filenames come from the filename template and folder in settings.
+
+// Characters Chrome refuses in download filenames
+const INVALID_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f]/g;
+
+// Long titles and paths would otherwise run into filesystem name limits
+const MAX_PART_LENGTH = 80;
+
+// Placeholders available in filename templates, for the options page
+export const FILENAME_PLACEHOLDERS = ['hostname', 'title', 'date', 'time', 'path', 'timestamp'];
+
+// Expands a template such as "{hostname}-{date}" with the capture's metadata
+// and appends the extension. Unknown placeholders are left as typed.
+export function formatFilename(template, { extension, url, title, capturedAt = Date.now() }) {
+    const values = getPlaceholderValues({ url, title, capturedAt });
+
+    const name = String(template || '')
+        .replace(/\{(\w+)\}/g, (match, key) => (key in values ? cleanPart(values[key]) : match))
+        .replace(INVALID_FILENAME_CHARS, '_')
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+
+    return `${name || `deepscroll-${capturedAt}`}.${extension}`;
+}
+
+// Full download path: the filename, inside the configured folder under Downloads
+export function getDownloadPath(settings, { extension, url, title, capturedAt }) {
+    const filename = formatFilename(settings.filenameTemplate, { extension, url, title, capturedAt });
+    const folder = cleanFolder(settings.downloadFolder);
+    return folder ? `${folder}/${filename}` : filename;
+}
+
+function getPlaceholderValues({ url, title, capturedAt }) {
+    const date = new Date(capturedAt);
+    const pad = (n) => String(n).padStart(2, '0');
+    let parsed = null;
+    try {
+        parsed = url ? new URL(url) : null;
+    } catch {
+        // Not a URL; hostname and path stay empty
+    }
+
+    return {
+        timestamp: String(capturedAt),
+        hostname: parsed?.hostname || '',
+        path: parsed ? parsed.pathname.replace(/^\/+|\/+$/g, '').replace(/\//g, '-') : '',
+        title: title || '',
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+    };
+}
+
+function cleanPart(value) {
+    return String(value).replace(INVALID_FILENAME_CHARS, '_').replace(/\s+/g, ' ').trim().slice(0, MAX_PART_LENGTH);
+}
+
+// Downloads may only go below the Downloads folder: no absolute paths, no ".."
+function cleanFolder(folder) {
+    return String(folder || '')
+        .split(/[\\/]+/)
+        .map(segment => segment.replace(INVALID_FILENAME_CHARS, '_').replace(/^[\s.]+|[\s.]+$/g, ''))
+        .filter(Boolean)
+        .join('/');
+}
@@ -0,0 +1,7 @@
+// Human-readable formatting shared by the editor and the History page.
+
+// Byte count as "123 KB" / "4.5 MB"
+export function formatBytes(bytes = 0) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview User settings for DeepScroll, persisted in chrome.storage.local.
+ * Every module reads settings through getSettings() so defaults live in one place
+ * (the content script, which can't import, keeps a copy of the ones it uses).
+ * The options page (src/options) edits them.
+ */
+
+export const DEFAULT_SETTINGS = {
+    // --- Capture ---
+
+    /** Slices after which a capture stops, however long the page */
+    maxSlices: 50,
+
+    /** Stop once the page has grown this many times its starting height (infinite scroll) */
+    maxHeightGrowth: 3,
+
+    /** Overlap (CSS px) between neighbouring slices, used to align them */
+    sliceOverlap: 100,
+
+    /** Render wait: the page counts as settled after this long (ms) without DOM or network activity */
+    renderQuietPeriod: 150,
+
+    /** Render wait: never wait longer than this (ms) after a scroll */
+    renderMaxWait: 2000,
+
+    /** Minimum time (ms) between two screen captures; Chrome allows 2 per second */
+    captureInterval: 520,
+
+    // --- Export ---
+
+    /** Format preselected in the export dialog ('png', 'jpeg', 'webp', 'pdf', 'html') */
+    exportFormat: 'png',
+
+    /** Quality preselected for JPEG/WebP (0-1) */
+    exportQuality: 0.9,
+
+    /**
+     * Download filename without extension. Placeholders: {hostname}, {title},
+     * {path}, {date}, {time} and {timestamp} (see utils/filename.js)
+     */
+    filenameTemplate: 'deepscroll-{timestamp}',
+
+    /** Subfolder of Downloads to save into ('' = Downloads itself) */
+    downloadFolder: '',
+
+    /** Save straight to the download folder instead of asking where */
+    autoSave: false,
+
+    /** Save the full capture as PNG right away instead of opening the editor */
+    saveAfterCapture: false,
+
+    // --- Editor ---
+
+    /** Color new annotations start with */
+    annotationColor: '#ef4444',
+
+    /** Stroke width of arrows and pen lines */
+    lineWidth: 6,
+
+    /** Stroke width of rectangle outlines */
+    rectLineWidth: 8,
+
+    /** Font size of new text annotations */
+    fontSize: 24,
+
+    /** Background gradient of Beautify mode (key of BEAUTIFY_PRESETS in editor/constants.js) */
+    beautifyPreset: 'midnight',
+
+    /** Padding around the image in Beautify mode */
+    beautifyPadding: 60,
+
+    // --- Storage ---
+
+    /** Completed captures older than this many days are deleted automatically */
+    retentionDays: 30,
+
+    /** Once stored captures exceed this budget (MB), the oldest are deleted */
+    storageBudgetMB: 1024,
+
+    /** Tag sensitive-looking text and inputs during capture and pre-redact them in the editor */
+    autoRedact: false,
+
+    /** Built-in patterns auto-redact looks for ('email', 'phone', 'card', 'apiKey') */
+    redactPatterns: ['email', 'phone', 'card', 'apiKey'],
+
+    /** Extra regular expressions (source strings) auto-redact looks for */
+    customRedactPatterns: [],
+
+    /** CSS selectors masked during capture, by hostname ('*' for every site) */
+    maskSelectors: {},
+
+    /** How masked elements are covered: 'blur' or 'solid' */
+    maskStyle: 'blur',
+
+    /**
+     * Fixed/sticky elements: 'hide', keep headers on the 'first' slice, keep
+     * footers on the 'last' slice, or 'pick' each time
+     */
+    fixedElementMode: 'hide',
+
+    /** Hide cookie banners, chat launchers and modals before capturing */
+    dismissOverlays: true,
+
+    /** Per-hostname override of dismissOverlays: 'allow' (always) or 'deny' (never) */
+    overlaySiteRules: {},
+};
+
+/**
+ * Reads the stored settings, filling in defaults for anything unset.
+ * @returns {Promise<Object>} The effective settings
+ */
+export async function getSettings() {
+    const { settings } = await chrome.storage.local.get('settings');
+    return sanitizeSettings({ ...DEFAULT_SETTINGS, ...settings });
+}
+
+/**
+ * Merges a partial update into the stored settings.
+ * @param {Object} patch - Settings to change
+ * @returns {Promise<Object>} The effective settings after the update
+ */
+export async function updateSettings(patch) {
+    const { settings } = await chrome.storage.local.get('settings');
+    const next = sanitizeSettings({ ...settings, ...patch });
+    await chrome.storage.local.set({ settings: next });
+    return { ...DEFAULT_SETTINGS, ...next };
+}
+
+/**
+ * Drops every stored value back to its default.
+ * @returns {Promise<Object>} The default settings
+ */
+export async function resetSettings() {
+    await chrome.storage.local.remove('settings');
+    return { ...DEFAULT_SETTINGS };
+}
+
+/** Allowed range [min, max] of each numeric setting */
+export const SETTING_LIMITS = {
+    maxSlices: [1, 500],
+    maxHeightGrowth: [1, 20],
+    sliceOverlap: [40, 400], // Seam matching needs 2 × SEAM_BAND_HEIGHT (editor/constants.js) of overlap
+    renderQuietPeriod: [0, 2000],
+    renderMaxWait: [100, 10000],
+    captureInterval: [500, 5000],
+    exportQuality: [0.1, 1],
+    lineWidth: [1, 40],
+    rectLineWidth: [1, 40],
+    fontSize: [8, 160],
+    beautifyPadding: [0, 200],
+    retentionDays: [1, 3650],
+    storageBudgetMB: [50, 100000],
+};
+
+/**
+ * Clamps numeric settings into their allowed range; values that aren't
+ * numbers fall back to the default.
+ * @param {Object} settings - Settings to check
+ * @returns {Object} A sanitized copy
+ */
+function sanitizeSettings(settings) {
+    const clean = { ...settings };
+    for (const [key, [min, max]] of Object.entries(SETTING_LIMITS)) {
+        if (!(key in clean)) continue;
+        const value = Number(clean[key]);
+        clean[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_SETTINGS[key];
+    }
+    return clean;
+}
@@ -13,9 +13,12 @@ export default defineConfig({
         rollupOptions: {
             input: {
                 editor: resolve(__dirname, 'src/editor/index.html'),
+                history: resolve(__dirname, 'src/history/index.html'),
                 background: resolve(__dirname, 'src/background.js'),
                 content: resolve(__dirname, 'src/content.js'),
-                popup: resolve(__dirname, 'src/popup.html')
+                popup: resolve(__dirname, 'src/popup.html'),
+                options: resolve(__dirname, 'src/options/index.html'),
+                offscreen: resolve(__dirname, 'src/offscreen/index.html')
             },
             output: {
                 entryFileNames: (chunkInfo) => {